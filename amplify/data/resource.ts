@@ -11,18 +11,120 @@ const schema = a
       .authorization((allow) => [
         allow.ownerDefinedIn("profileOwner"),
       ]),
+    // A date only as precise as the source, e.g. "circa 1850" is
+    // { qualifier: "about", date: "1850" }. sort_date is the YYYY-MM-DD
+    // date to sort by, from getSortDate in src/utils/genealogical-date.js
+    DateQualifier: a.enum(["exact", "about", "before", "after", "between"]),
+    GenealogicalDate: a.customType({
+      original: a.string(),
+      qualifier: a.ref("DateQualifier").required(),
+      date: a.string().required(),
+      end_date: a.string(),
+      sort_date: a.date(),
+    }),
     Person: a
       .model({
+        title: a.string(),
         first_name: a.string().required(),
         middle_names: a.string(),
         last_name: a.string().required(),
+        suffix: a.string(),
+        birth_surname: a.string(),
+        married_surnames: a.string().array(),
+        aliases: a.string().array(),
+        name_variants: a.string().array(),
+        // Every name the person was known by, normalized (see getSearchNames), for name searches
+        search_names: a.string().array(),
         gender: a.string(),
-        birth_date: a.date(),
+        birth_date: a.ref("GenealogicalDate"),
         birth_place: a.string(),
-        death_date: a.date(),
+        birth_place_id: a.string(),
+        death_date: a.ref("GenealogicalDate"),
         death_place: a.string(),
+        death_place_id: a.string(),
         age_at_death: a.string(),
+        burial_date: a.ref("GenealogicalDate"),
         burial_place: a.string(),
+        burial_place_id: a.string(),
+        source_image: a.string(),
+        citations: a.json(),
+        // Confidence score and inferred flag of each field, by field name
+        confidence: a.json(),
+        // Set when a field is below the confidence threshold, so the record is checked by hand
+        needs_review: a.boolean(),
+        review_fields: a.string().array(),
+        // Document outputs the person was found in, when loaded from the person registry
+        sources: a.json(),
+        relationships: a.hasMany("Relationship", "person_id"),
+        related_relationships: a.hasMany("Relationship", "related_person_id"),
+        passages: a.hasMany("Passage", "person_id"),
+        events: a.hasMany("Event", "person_id"),
+      })
+      .authorization((allow) => [
+        allow.authenticated().to(["read", "create", "update", "delete"]),
+        allow.guest().to(["read"]),
+      ]),
+    Relationship: a
+      .model({
+        relationship_type: a.enum(["parent_of", "spouse_of", "sibling_of"]),
+        person_id: a.id().required(),
+        person: a.belongsTo("Person", "person_id"),
+        related_person_id: a.id().required(),
+        related_person: a.belongsTo("Person", "related_person_id"),
+        marriage_date: a.ref("GenealogicalDate"),
+        marriage_place: a.string(),
+      })
+      .authorization((allow) => [
+        allow.authenticated().to(["read", "create", "update", "delete"]),
+        allow.guest().to(["read"]),
+      ]),
+    Event: a
+      .model({
+        person_id: a.id().required(),
+        person: a.belongsTo("Person", "person_id"),
+        event_type: a.enum([
+          "baptism",
+          "marriage",
+          "census",
+          "residence",
+          "occupation",
+          "emigration",
+          "immigration",
+          "military",
+          "education",
+          "other",
+        ]),
+        date: a.ref("GenealogicalDate"),
+        place: a.string(),
+        description: a.string(),
+        source: a.string(),
+      })
+      .authorization((allow) => [
+        allow.authenticated().to(["read", "create", "update", "delete"]),
+        allow.guest().to(["read"]),
+      ]),
+    Voyage: a
+      .model({
+        year: a.integer().required(),
+        departure_port: a.string(),
+        arrival_date: a.ref("GenealogicalDate"),
+        master: a.string(),
+        passages: a.hasMany("Passage", "voyage_id"),
+      })
+      .authorization((allow) => [
+        allow.authenticated().to(["read", "create", "update", "delete"]),
+        allow.guest().to(["read"]),
+      ]),
+    Passage: a
+      .model({
+        person_id: a.id().required(),
+        person: a.belongsTo("Person", "person_id"),
+        voyage_id: a.id().required(),
+        voyage: a.belongsTo("Voyage", "voyage_id"),
+        role: a.enum(["passenger", "crew"]),
+        berth_class: a.string(),
+        age_on_embarkation: a.string(),
+        notes: a.string(),
       })
       .authorization((allow) => [
         allow.authenticated().to(["read", "create", "update", "delete"]),
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to measure extraction accuracy against hand-annotated gold files
+ *
+ * Usage:
+ *   node evaluate-extraction.js [--cases=<dir>] [--provider=<provider>] [--output=<path>]
+ *   node evaluate-extraction.js --record --provider=<provider> [--cases=<dir>]
+ *
+ * Options:
+ *   --cases=<dir>          Directory of evaluation cases (defaults to evaluation/cases)
+ *   --provider=<provider>  Only evaluate recordings from this provider (repeat or comma separate for several)
+ *   --output=<path>        Save the full report as JSON
+ *   --record               Run the provider over every case and record its responses for the current prompt
+ *   --help                 Show help
+ *
+ * Evaluation replays the recorded responses, so it runs offline without API keys.
+ * Recording calls the real provider and needs its API key.
+ */
+
+import { registerAllProviders, llmFactory } from './src/utils/llm/index.js';
+import { DEFAULT_CASES_DIR, EVALUATED_FIELDS, getPromptVersion, loadCases, recordCase, runEvaluation } from './src/utils/evaluation/extraction-evaluator.js';
+import fs from 'fs';
+import process from 'process';
+
+/**
+ * Format a rate as a percentage
+ * @param {number|null} rate - The rate between 0 and 1
+ * @returns {string} - The percentage, or n/a when there was nothing to measure
+ */
+function formatRate(rate) {
+  return rate === null ? '   n/a' : `${(rate * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Print the results of each provider and prompt version
+ * @param {Object} report - The report returned by runEvaluation
+ */
+function printReport(report) {
+  for (const run of report.runs) {
+    const current = run.promptVersion === report.currentPromptVersions[run.provider] ? ' (current)' : '';
+    console.log(`\n${run.provider} / prompt ${run.promptVersion}${current}: ${run.caseCount} case(s)`);
+    console.log(`  Persons:        precision ${formatRate(run.persons.precision)}  recall ${formatRate(run.persons.recall)}  F1 ${formatRate(run.persons.f1)}  (${run.persons.matched} matched, ${run.persons.predicted} extracted, ${run.persons.gold} in gold)`);
+    console.log(`  Relationships:  precision ${formatRate(run.relationships.precision)}  recall ${formatRate(run.relationships.recall)}  F1 ${formatRate(run.relationships.f1)}  (${run.relationships.matched} matched, ${run.relationships.predicted} extracted, ${run.relationships.gold} in gold)`);
+    console.log('  Field accuracy (matched persons):');
+    for (const field of EVALUATED_FIELDS) {
+      const { correct, total, accuracy } = run.fields[field];
+      if (total === 0) continue;
+      console.log(`    ${field.padEnd(14)} ${formatRate(accuracy)}  (${correct}/${total})`);
+    }
+
+    run.errors.forEach(({ case: caseName, error }) => console.log(`  ❌ ${caseName}: ${error}`));
+  }
+
+  const missed = report.cases.filter(result => result.missed && (result.missed.length > 0 || result.spurious.length > 0));
+  if (missed.length > 0) {
+    console.log('\nUnmatched persons:');
+    missed.forEach(result => {
+      result.missed.forEach(name => console.log(`  ⚠️  ${result.case} (${result.provider} / prompt ${result.promptVersion}): missed ${name}`));
+      result.spurious.forEach(name => console.log(`  ⚠️  ${result.case} (${result.provider} / prompt ${result.promptVersion}): extra ${name}`));
+    });
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    let casesDir = DEFAULT_CASES_DIR;
+    let providers = [];
+    let outputPath = null;
+    let record = false;
+    let showHelp = false;
+
+    for (const arg of args) {
+      if (arg.startsWith('--cases=')) {
+        casesDir = arg.split('=')[1];
+      } else if (arg.startsWith('--provider=')) {
+        providers.push(...arg.split('=')[1].split(',').filter(Boolean));
+      } else if (arg.startsWith('--output=')) {
+        outputPath = arg.split('=')[1];
+      } else if (arg === '--record') {
+        record = true;
+      } else if (arg === '--help') {
+        showHelp = true;
+      }
+    }
+
+    if (showHelp) {
+      console.log(`
+Usage:
+  node evaluate-extraction.js [--cases=<dir>] [--provider=<provider>] [--output=<path>]
+  node evaluate-extraction.js --record --provider=<provider> [--cases=<dir>]
+
+Options:
+  --cases=<dir>          Directory of evaluation cases (defaults to evaluation/cases)
+  --provider=<provider>  Only evaluate recordings from this provider (repeat or comma separate for several)
+  --output=<path>        Save the full report as JSON
+  --record               Run the provider over every case and record its responses for the current prompt
+  --help                 Show help
+      `);
+      process.exit(0);
+    }
+
+    if (!fs.existsSync(casesDir)) {
+      console.error(`Error: Cases directory not found: ${casesDir}`);
+      process.exit(1);
+    }
+
+    if (record) {
+      if (providers.length !== 1) {
+        console.error('Error: --record needs exactly one --provider');
+        process.exit(1);
+      }
+
+      await registerAllProviders();
+      const provider = providers[0];
+      const llm = llmFactory.create(provider);
+
+      console.log(`Recording ${provider} responses for prompt version ${getPromptVersion(provider)}...`);
+      for (const evaluationCase of loadCases(casesDir)) {
+        const { recordingDir, calls, result } = await recordCase(evaluationCase, llm, provider);
+        const status = result.data ? '✅' : '❌';
+        console.log(`${status} ${evaluationCase.name}: ${calls} call(s) recorded to ${recordingDir}`);
+      }
+      return;
+    }
+
+    const report = await runEvaluation({ casesDir, providers: providers.length > 0 ? providers : undefined });
+
+    if (report.runs.length === 0) {
+      console.log('No recordings to evaluate. Record some with --record --provider=<provider>');
+      return;
+    }
+
+    printReport(report);
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+      console.log(`\nReport saved to: ${outputPath}`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
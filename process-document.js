@@ -1,24 +1,59 @@
 #!/usr/bin/env node
 
 /**
- * CLI tool to process Word documents and extract person information
+ * CLI tool to process family history documents and extract person information
  * 
  * Usage:
  *   node process-document.js [path/to/document.docx] [--provider=<provider>]
+ *   node process-document.js path/to/documents/ [--provider=<provider>] [--force]
+ *   node process-document.js path/to/document.docx --ensemble=<provider>,<provider>[,...] [--weights=<provider>:<weight>,...]
+ *   node process-document.js path/to/documents/ --resolve [--registry=<path>]
+ *   node process-document.js path/to/documents/ --check [--rules=<path>]
  * 
  * Options:
- *   --provider=<provider>       Specify the LLM provider to use (mock, openai)
+ *   --provider=<provider>       Specify the LLM provider to use (mock, openai, claude, local)
+ *   --ensemble=<providers>      Extract with each of these providers (comma separated) and vote on every field
+ *   --vote=<method>             Ensemble voting method: majority (default) or weighted
+ *   --weights=<weights>         Weight of each provider's vote, e.g. openai:2,claude:1 (implies --vote=weighted)
+ *   --repair[=attempts]         Send validation errors back to the LLM to be corrected (2 attempts by default)
+ *   --confidence-threshold=<n>  Mark persons with a field below this confidence (0-1, default 0.7) for review
+ *   --hide-low-confidence       Leave values below the confidence threshold out of the printed persons
+ *   --prompt-version=<version>  Extraction prompt version to use (default latest), or <prompt>:<version>,... for each prompt
+ *   --few-shot[=<n>]            Show the model worked examples from documents/_Tests (at most n) before the document
+ *   --examples=<dir>            Take the few-shot examples from this directory (implies --few-shot)
+ *   --retries=<n>               Retry failed LLM calls (rate limits, timeouts, server errors) up to n times (default 3)
+ *   --timeout=<seconds>         Give up on an LLM call attempt after this long (default 300)
+ *   --rpm=<n>                   Start at most n LLM requests per minute for each provider
+ *   --cache[=<dir>]             Cache LLM responses (in .llm-cache by default), so unchanged requests cost nothing
+ *   --budget=<usd>              Stop before an LLM call that could take the estimated cost of the run over this many US dollars
+ *   --cache-mode=<mode>         record (default: use the cache, call the provider on a miss), replay (cache only) or passthrough
+ *   --lang-path=<dir>           Directory holding the OCR .traineddata files (otherwise downloaded from the Tesseract CDN)
+ *   --force                     Batch mode: reprocess files even if they are unchanged
+ *   --manifest=<path>           Batch mode: where to store the manifest file
+ *   --resolve                   Merge the persons extracted from a directory's documents into one registry
+ *   --registry=<path>           Resolve mode: where to store the registry file
+ *   --check                     Check every person in a directory's outputs (or its registry) for consistency
+ *   --rules=<path>              JSON file configuring the consistency rules
  *   --check-api-key[=provider]  Check if the API key for a provider is configured
  *   --test-provider=<provider>  Test the connection to a specific provider
  *   --help                      Show help
  * 
  * If no document path is provided, a sample document will be used.
+ * Supported types are .docx, .doc, .odt, .pdf, .html, .txt and scanned images
+ * (.jpg, .jpeg, .png, .gif), which are run through OCR before extraction.
+ * If a directory is provided, every supported document in it is processed recursively.
  */
 
-import { processWordDocument, getSampleDocumentPath, configureDocumentProcessor } from './src/utils/document-processor.js';
-import { registerAllProviders, checkProviderAPIKey, getAvailableProviders, llmFactory } from './src/utils/llm/index.js';
+import { processDocument, getSampleDocumentPath, configureDocumentProcessor } from './src/utils/document-processor.js';
+import { registerAllProviders, checkProviderAPIKey, getAvailableProviders, llmFactory, CACHE_MODES, DEFAULT_CACHE_DIR } from './src/utils/llm/index.js';
+import { processDirectory } from './src/utils/batch-processor.js';
+import { writeExtractionOutput, getDocumentTextPath } from './src/utils/output-writer.js';
+import { formatGenealogicalDate } from './src/utils/genealogical-date.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD, withoutLowConfidenceFields } from './src/utils/person/field-confidence.js';
+import { resolveDirectory } from './src/utils/person/entity-resolver.js';
+import { ConsistencyChecker, checkDirectory } from './src/utils/consistency/consistency-checker.js';
 import fs from 'fs';
-import path from 'path';
+import process from 'process';
 
 /**
  * Check if the API key for a specific provider is configured and valid
@@ -61,6 +96,16 @@ async function testProviderConnection(provider = 'openai') {
     // Create an instance of the provider using the factory
     const llm = llmFactory.create(provider);
     
+    // Providers that run on a server of your own can check it's up before sending anything
+    if (typeof llm.checkHealth === 'function') {
+      console.log(`Checking ${provider} server health...`);
+      const health = await llm.checkHealth();
+      if (!health.success) {
+        throw new Error(health.error);
+      }
+      console.log(`✅ ${health.message}`);
+    }
+    
     // Try to generate a simple response
     console.log(`Sending test request to ${provider}...`);
     const response = await llm.generateResponse('Say hello world');
@@ -73,11 +118,187 @@ async function testProviderConnection(provider = 'openai') {
     console.log(`  node process-document.js --provider=${provider}`);
   } catch (error) {
     console.error(`❌ ${provider} connection test failed:`, error.message);
-    console.error('\nPlease check your API key and internet connection.');
+    console.error(provider === 'local'
+      ? '\nPlease check the local LLM server is running and LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL are correct.'
+      : '\nPlease check your API key and internet connection.');
     process.exit(1);
   }
 }
 
+/**
+ * Print the summary of a batch run
+ * @param {Object} summary - The summary returned by processDirectory
+ */
+function printBatchSummary(summary) {
+  console.log('\nBatch summary:');
+  console.log(`  Total files:         ${summary.total}`);
+  console.log(`  Skipped (unchanged): ${summary.skipped.length}`);
+  console.log(`  Succeeded:           ${summary.succeeded.length}`);
+  console.log(`  Validation failed:   ${summary.validationFailed.length}`);
+  console.log(`  Errors:              ${summary.errors.length}`);
+  console.log(`  Unsupported:         ${summary.unsupported.length}`);
+  if (summary.notProcessed.length > 0) {
+    console.log(`  Not processed:       ${summary.notProcessed.length} (budget reached)`);
+  }
+  
+  if (summary.succeeded.length > 0) {
+    console.log('\nSucceeded:');
+    summary.succeeded.forEach(file => console.log(`  ✅ ${file}`));
+  }
+  
+  if (summary.validationFailed.length > 0) {
+    console.log('\nValidation failures:');
+    summary.validationFailed.forEach(({ file, error }) => console.log(`  ⚠️  ${file}: ${error}`));
+  }
+  
+  if (summary.errors.length > 0) {
+    console.log('\nErrors:');
+    summary.errors.forEach(({ file, error }) => console.log(`  ❌ ${file}: ${error}`));
+  }
+  
+  if (summary.unsupported.length > 0) {
+    console.log('\nUnsupported files (not processed):');
+    summary.unsupported.forEach(file => console.log(`  ⏭️  ${file}`));
+  }
+  
+  console.log(`\nManifest saved to: ${summary.manifestPath}`);
+}
+
+/**
+ * Print where the providers of an ensemble disagreed
+ * @param {Object} result - The result of an ensemble extraction
+ */
+function printDisagreements(result) {
+  console.log('\nEnsemble providers:');
+  result.providerResults.forEach(item => {
+    const status = item.error ? '❌' : item.success ? '✅' : '⚠️ ';
+    console.log(`  ${status} ${item.provider}: ${item.error || `${item.personCount} person(s)${item.success ? '' : ', failed validation'}`}`);
+  });
+  
+  console.warn(`\n⚠️  ${result.disagreements.length} disagreement(s) between providers (${result.vote} vote):`);
+  result.disagreements.forEach(item => {
+    if (item.field) {
+      const values = item.values.map(({ value, providers }) => `"${formatGenealogicalDate(value)}" (${providers.join(', ')})`).join(' vs ');
+      console.warn(`  ${item.person} - ${item.field}: ${values}; kept "${formatGenealogicalDate(item.keptValue)}"`);
+    } else if (item.relationship) {
+      console.warn(`  ${item.relationship}: given by ${item.foundBy.join(', ')}, not ${item.missedBy.join(', ')}${item.kept ? '' : '; dropped'}`);
+    } else {
+      console.warn(`  ${item.person}: found by ${item.foundBy.join(', ')}, not ${item.missedBy.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Print the summary of resolving the persons in a directory
+ * @param {Object} registry - The registry returned by resolveDirectory
+ */
+function printRegistrySummary(registry) {
+  console.log('\nRegistry summary:');
+  console.log(`  Output files:        ${registry.fileCount}`);
+  console.log(`  Person records:      ${registry.recordCount}`);
+  console.log(`  Distinct persons:    ${registry.persons.length}`);
+  console.log(`  Merged persons:      ${registry.merges.length}`);
+  console.log(`  Proposed for review: ${registry.proposals.length}`);
+  console.log(`  Low confidence:      ${registry.persons.filter(person => person.needs_review).length}`);
+  
+  if (registry.merges.length > 0) {
+    console.log('\nMerged:');
+    registry.merges.forEach(merge => {
+      console.log(`  ✅ ${merge.records.map(record => record.person).join(' = ')} -> ${merge.registryId} (${merge.records.length} records, lowest score ${merge.score})`);
+    });
+  }
+  
+  if (registry.proposals.length > 0) {
+    console.log('\nPossible matches to review:');
+    registry.proposals.forEach(proposal => {
+      console.log(`  ⚠️  ${proposal.records.map(record => record.person).join(' = ')} (score ${proposal.score}: ${proposal.reasons.join(', ')})`);
+    });
+  }
+  
+  if (registry.conflicts.length > 0) {
+    console.log(`\n⚠️  ${registry.conflicts.length} field(s) differ between the merged records:`);
+    registry.conflicts.forEach(conflict => {
+      const values = conflict.values.map(({ value, source }) => `"${formatGenealogicalDate(value)}" (${source})`).join(' vs ');
+      console.log(`  ${conflict.person || conflict.relationship || conflict.voyage || conflict.passage} - ${conflict.field}: ${values}`);
+    });
+  }
+  
+  console.log(`\nRegistry saved to: ${registry.registryPath}`);
+}
+
+/**
+ * Print what each attempt to correct invalid data fixed
+ * @param {Array<Object>} repairAttempts - The attempts returned by the extraction
+ */
+function printRepairAttempts(repairAttempts) {
+  console.log(`\nRepair attempts (${repairAttempts.length}):`);
+  repairAttempts.forEach(attempt => {
+    if (attempt.error) {
+      console.log(`  ❌ Attempt ${attempt.attempt}: ${attempt.error}`);
+      return;
+    }
+    const icon = attempt.remaining.length === 0 ? '✅' : '⚠️ ';
+    console.log(`  ${icon} Attempt ${attempt.attempt}: fixed ${attempt.fixed.length} of ${attempt.errors.length} error(s)${attempt.accepted ? '' : ', correction rejected'}`);
+    attempt.fixed.forEach(error => console.log(`      fixed: ${error}`));
+    attempt.remaining.forEach(error => console.log(`      remaining: ${error}`));
+  });
+}
+
+/**
+ * Print the warnings in a consistency report
+ * @param {Object} report - The report returned by the consistency checker
+ */
+function printConsistencyWarnings(report) {
+  report.warnings.forEach(warning => {
+    const icon = warning.severity === 'error' ? '❌' : '⚠️ ';
+    console.warn(`  ${icon} ${warning.person} - ${warning.message} [${warning.rule}]`);
+  });
+}
+
+/**
+ * Print the tokens, time and estimated cost of the LLM calls made
+ * @param {Object} usage - The usage summary returned with the result
+ */
+function printUsage(usage) {
+  if (!usage || usage.calls === 0) return;
+  
+  const cached = usage.cachedCalls > 0 ? `, ${usage.cachedCalls} from the cache` : '';
+  console.log(`\nLLM usage: ${usage.calls} call(s)${cached}, ${usage.inputTokens} input and ${usage.outputTokens} output tokens, ${(usage.latencyMs / 1000).toFixed(1)}s`);
+  Object.entries(usage.byModel).forEach(([model, totals]) => {
+    console.log(`  ${model}: ${totals.calls} call(s), ${totals.inputTokens} in / ${totals.outputTokens} out, $${totals.cost.toFixed(4)}`);
+  });
+  
+  const budget = usage.budget !== null ? ` of a $${usage.budget} budget` : '';
+  console.log(`  Estimated cost: $${usage.cost.toFixed(4)}${budget}`);
+  if (usage.unpricedModels.length > 0) {
+    console.warn(`  ⚠️  No price for ${usage.unpricedModels.join(', ')}, so their calls aren't in the estimate`);
+  }
+  if (usage.budgetExceeded) {
+    console.warn('  ⚠️  The budget stopped an LLM call');
+  }
+}
+
+/**
+ * Print how many LLM calls the response cache answered
+ * @param {Object|null} cache - The ResponseCache used, if any
+ */
+function printCacheStats(cache) {
+  if (!cache || cache.mode === CACHE_MODES.PASSTHROUGH) return;
+  
+  const { hits, misses, recorded } = cache.stats;
+  console.log(`\nLLM response cache: ${hits} hit(s), ${misses} miss(es), ${recorded} response(s) recorded in ${cache.dir}`);
+}
+
+/**
+ * Read a number given as an option value
+ * Number() rejects trailing text such as 0.7x, which parseFloat would accept
+ * @param {string} value - The option value
+ * @returns {number} - The number, or NaN if the value isn't one
+ */
+function parseNumberOption(value) {
+  return value === undefined || value.trim() === '' ? NaN : Number(value);
+}
+
 async function main() {
   try {
     // Parse command line arguments
@@ -85,6 +306,25 @@ async function main() {
     let docPath = null;
     let provider = 'mock';
     let showHelp = false;
+    let force = false;
+    let manifestPath = null;
+    let resolve = false;
+    let registryPath = null;
+    let check = false;
+    let rulesPath = null;
+    let maxRepairAttempts = 0;
+    let confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD;
+    let hideLowConfidence = false;
+    let ensemble = null;
+    let vote = null;
+    let weights = null;
+    const resilience = {};
+    let cacheDir = null;
+    let cacheMode = null;
+    let budget = null;
+    let promptVersions = {};
+    let fewShot = null;
+    let langPath = null;
     
     // Parse arguments
     for (const arg of args) {
@@ -92,6 +332,59 @@ async function main() {
         provider = arg.split('=')[1];
       } else if (arg === '--help') {
         showHelp = true;
+      } else if (arg === '--repair' || arg.startsWith('--repair=')) {
+        maxRepairAttempts = arg.includes('=') ? parseInt(arg.split('=')[1], 10) || 0 : 2;
+      } else if (arg.startsWith('--ensemble=')) {
+        ensemble = arg.split('=')[1].split(',').filter(Boolean);
+      } else if (arg.startsWith('--vote=')) {
+        vote = arg.split('=')[1];
+      } else if (arg.startsWith('--weights=')) {
+        weights = Object.fromEntries(arg.split('=')[1].split(',').filter(Boolean).map(pair => {
+          const [name, weight] = pair.split(':');
+          return [name, parseFloat(weight)];
+        }));
+      } else if (arg.startsWith('--confidence-threshold=')) {
+        confidenceThreshold = parseNumberOption(arg.split('=')[1]);
+      } else if (arg === '--hide-low-confidence') {
+        hideLowConfidence = true;
+      } else if (arg.startsWith('--prompt-version=')) {
+        const value = arg.split('=')[1];
+        promptVersions = value.includes(':')
+          ? Object.fromEntries(value.split(',').filter(Boolean).map(pair => {
+            const [id, version] = pair.split(':');
+            return [id, parseNumberOption(version)];
+          }))
+          : { 'person-extraction': parseNumberOption(value) };
+      } else if (arg === '--few-shot' || arg.startsWith('--few-shot=')) {
+        fewShot = { ...fewShot, ...(arg.includes('=') ? { count: parseInt(arg.split('=')[1], 10) || 0 } : {}) };
+      } else if (arg.startsWith('--examples=')) {
+        fewShot = { ...fewShot, dir: arg.split('=')[1] };
+      } else if (arg.startsWith('--retries=')) {
+        resilience.maxRetries = parseInt(arg.split('=')[1], 10) || 0;
+      } else if (arg.startsWith('--timeout=')) {
+        resilience.timeoutMs = parseNumberOption(arg.split('=')[1]) * 1000;
+      } else if (arg.startsWith('--rpm=')) {
+        resilience.requestsPerMinute = parseInt(arg.split('=')[1], 10) || null;
+      } else if (arg === '--cache' || arg.startsWith('--cache=')) {
+        cacheDir = arg.includes('=') ? arg.split('=')[1] : DEFAULT_CACHE_DIR;
+      } else if (arg.startsWith('--cache-mode=')) {
+        cacheMode = arg.split('=')[1];
+      } else if (arg.startsWith('--budget=')) {
+        budget = parseNumberOption(arg.split('=')[1]);
+      } else if (arg.startsWith('--lang-path=')) {
+        langPath = arg.split('=')[1];
+      } else if (arg === '--force') {
+        force = true;
+      } else if (arg.startsWith('--manifest=')) {
+        manifestPath = arg.split('=')[1];
+      } else if (arg === '--resolve') {
+        resolve = true;
+      } else if (arg.startsWith('--registry=')) {
+        registryPath = arg.split('=')[1];
+      } else if (arg === '--check') {
+        check = true;
+      } else if (arg.startsWith('--rules=')) {
+        rulesPath = arg.split('=')[1];
       } else if (arg.startsWith('--check-api-key')) {
         const parts = arg.split('=');
         const checkProvider = parts.length > 1 ? parts[1] : 'openai';
@@ -114,9 +407,35 @@ async function main() {
       console.log(`
 Usage:
   node process-document.js [path/to/document.docx] [--provider=<provider>]
+  node process-document.js path/to/documents/ [--provider=<provider>] [--force]
+  node process-document.js path/to/document.docx --ensemble=<provider>,<provider>[,...] [--weights=<provider>:<weight>,...]
+  node process-document.js path/to/documents/ --resolve [--registry=<path>]
+  node process-document.js path/to/documents/ --check [--rules=<path>]
 
 Options:
-  --provider=<provider>       Specify the LLM provider to use (mock, openai)
+  --provider=<provider>       Specify the LLM provider to use (mock, openai, claude, local)
+  --ensemble=<providers>      Extract with each of these providers (comma separated) and vote on every field
+  --vote=<method>             Ensemble voting method: majority (default) or weighted
+  --weights=<weights>         Weight of each provider's vote, e.g. openai:2,claude:1 (implies --vote=weighted)
+  --repair[=attempts]         Send validation errors back to the LLM to be corrected (2 attempts by default)
+  --confidence-threshold=<n>  Mark persons with a field below this confidence (0-1, default 0.7) for review
+  --hide-low-confidence       Leave values below the confidence threshold out of the printed persons
+  --prompt-version=<version>  Extraction prompt version to use (default latest), or <prompt>:<version>,... for each prompt
+  --few-shot[=<n>]            Show the model worked examples from documents/_Tests (at most n) before the document
+  --examples=<dir>            Take the few-shot examples from this directory (implies --few-shot)
+  --retries=<n>               Retry failed LLM calls (rate limits, timeouts, server errors) up to n times (default 3)
+  --timeout=<seconds>         Give up on an LLM call attempt after this long (default 300)
+  --rpm=<n>                   Start at most n LLM requests per minute for each provider
+  --cache[=<dir>]             Cache LLM responses (in .llm-cache by default), so unchanged requests cost nothing
+  --budget=<usd>              Stop before an LLM call that could take the estimated cost of the run over this many US dollars
+  --cache-mode=<mode>         record (default: use the cache, call the provider on a miss), replay (cache only) or passthrough
+  --lang-path=<dir>           Directory holding the OCR .traineddata files (otherwise downloaded from the Tesseract CDN)
+  --force                     Batch mode: reprocess files even if they are unchanged
+  --manifest=<path>           Batch mode: where to store the manifest file
+  --resolve                   Merge the persons extracted from a directory's documents into one registry
+  --registry=<path>           Resolve mode: where to store the registry file
+  --check                     Check every person in a directory's outputs (or its registry) for consistency
+  --rules=<path>              JSON file configuring the consistency rules
   --check-api-key[=provider]  Check if the API key for a provider is configured
   --test-provider=<provider>  Test the connection to a specific provider
   --help                      Show help
@@ -124,20 +443,94 @@ Options:
       process.exit(0);
     }
     
+    // A value that isn't a number would turn off review flagging without saying so
+    if (!(confidenceThreshold >= 0 && confidenceThreshold <= 1)) {
+      console.error('Error: --confidence-threshold must be a number between 0 and 1');
+      process.exit(1);
+    }
+    
+    // NaN would never stop a call, and a negative budget would stop every one
+    if (budget !== null && !(Number.isFinite(budget) && budget >= 0)) {
+      console.error('Error: --budget must be a number of US dollars, 0 or more');
+      process.exit(1);
+    }
+    
+    if (resilience.timeoutMs !== undefined && !(Number.isFinite(resilience.timeoutMs) && resilience.timeoutMs > 0)) {
+      console.error('Error: --timeout must be a number of seconds greater than 0');
+      process.exit(1);
+    }
+    
+    if (Object.values(promptVersions).some(version => !Number.isInteger(version) || version < 1)) {
+      console.error('Error: --prompt-version must be a whole number, or <prompt>:<version> pairs');
+      process.exit(1);
+    }
+    
+    const consistencyRules = rulesPath ? ConsistencyChecker.loadConfig(rulesPath) : {};
+    
+    // Checking works on the outputs of earlier runs, so no LLM is needed
+    if (check) {
+      if (!docPath || !fs.existsSync(docPath) || !fs.statSync(docPath).isDirectory()) {
+        console.error('Error: --check needs the directory of processed documents');
+        process.exit(1);
+      }
+      
+      const reports = checkDirectory(docPath, consistencyRules);
+      const warningCount = reports.reduce((count, report) => count + report.warnings.length, 0);
+      console.log(`Checked ${reports.reduce((count, report) => count + report.summary.personCount, 0)} person(s) in ${reports.length} file(s): ${warningCount} consistency warning(s)`);
+      reports.filter(report => report.warnings.length > 0).forEach(report => {
+        console.log(`\n${report.file}:`);
+        printConsistencyWarnings(report);
+      });
+      
+      if (reports.some(report => report.summary.errorCount > 0)) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+    
+    // Resolving works on the outputs of earlier runs, so no LLM is needed
+    if (resolve) {
+      if (!docPath || !fs.existsSync(docPath) || !fs.statSync(docPath).isDirectory()) {
+        console.error('Error: --resolve needs the directory of processed documents');
+        process.exit(1);
+      }
+      
+      console.log(`Resolving persons in: ${docPath}`);
+      printRegistrySummary(resolveDirectory(docPath, { registryPath: registryPath, confidenceThreshold: confidenceThreshold }));
+      return;
+    }
+    
     // Initialize all available LLM providers
     console.log('Initializing LLM providers...');
     await registerAllProviders();
+    llmFactory.configureResilience(resilience);
+    
+    // Answer LLM calls from the response cache when asked
+    const cache = cacheDir || cacheMode
+      ? llmFactory.configureCache({ dir: cacheDir || DEFAULT_CACHE_DIR, mode: cacheMode || CACHE_MODES.RECORD })
+      : null;
+    if (cache) {
+      console.log(`Using the LLM response cache in ${cache.dir} (${cache.mode} mode)`);
+    }
     
-    // Check if the selected provider has a valid API key
-    if (provider !== 'mock') {
-      const keyCheck = checkProviderAPIKey(provider);
+    // Check if the selected provider (or every provider in the ensemble) has a valid API key
+    for (const name of ensemble || [provider]) {
+      if (name === 'mock') continue;
+      const keyCheck = checkProviderAPIKey(name);
       if (!keyCheck.success) {
-        console.error(`Error: API key for ${provider} is not properly configured.`);
+        console.error(`Error: API key for ${name} is not properly configured.`);
         console.error(keyCheck.error || 'Please check your environment variables.');
         process.exit(1);
       }
     }
     
+    const ensembleOptions = ensemble
+      ? { providers: ensemble, vote: vote || (weights ? 'weighted' : 'majority'), weights: weights || {} }
+      : null;
+    if (ensembleOptions) {
+      console.log(`Using an ensemble of ${ensemble.join(', ')} with ${ensembleOptions.vote} voting`);
+    }
+    
     // Configure the document processor to use the specified provider
     configureDocumentProcessor({ llmProvider: provider });
     console.log(`Using LLM provider: ${provider}`);
@@ -154,12 +547,50 @@ Options:
       process.exit(1);
     }
     
+    // Process a whole directory tree in batch mode
+    if (fs.statSync(docPath).isDirectory()) {
+      const summary = await processDirectory(docPath, {
+        provider: provider,
+        force: force,
+        manifestPath: manifestPath,
+        consistencyRules: consistencyRules,
+        maxRepairAttempts: maxRepairAttempts,
+        confidenceThreshold: confidenceThreshold,
+        ensemble: ensembleOptions,
+        promptVersions: promptVersions,
+        fewShot: fewShot,
+        extractorOptions: langPath ? { langPath } : undefined,
+        budget: budget
+      });
+      printBatchSummary(summary);
+      printUsage(summary.usage);
+      printCacheStats(cache);
+      
+      if (summary.errors.length > 0 || summary.validationFailed.length > 0 || summary.notProcessed.length > 0) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+    
     // Process the document
     console.log(`Processing document: ${docPath}`);
-    const result = await processWordDocument(docPath, {
-      provider: provider
+    const result = await processDocument(docPath, {
+      provider: provider,
+      consistencyRules: consistencyRules,
+      maxRepairAttempts: maxRepairAttempts,
+      confidenceThreshold: confidenceThreshold,
+      ensemble: ensembleOptions,
+      promptVersions: promptVersions,
+      fewShot: fewShot,
+      extractorOptions: langPath ? { langPath } : undefined,
+      budget: budget
     });
     
+    // Show what the LLM corrected when asked to fix invalid data
+    if (result.repairAttempts && result.repairAttempts.length > 0) {
+      printRepairAttempts(result.repairAttempts);
+    }
+    
     // Display the results
     if (result.success) {
       console.log('\nExtracted Person Data:');
@@ -168,20 +599,88 @@ Options:
       if (Array.isArray(persons) && persons.length > 0) {
         console.log(`Found ${persons.length} person(s) in the document`);
         persons.forEach((person, index) => {
-          console.log(`\nPerson #${index + 1}:`);
-          console.log(JSON.stringify(person, null, 2));
+          console.log(`\nPerson #${index + 1}${person.needs_review ? ' (needs review)' : ''}:`);
+          console.log(JSON.stringify(hideLowConfidence ? withoutLowConfidenceFields(person, confidenceThreshold) : person, null, 2));
         });
       } else {
         console.log(JSON.stringify(result.data, null, 2));
       }
       
-      // Save the result to a JSON file in the same directory as the Word document
-      const outputDir = path.dirname(docPath);
-      const baseName = path.basename(docPath, path.extname(docPath));
-      const outputPath = path.join(outputDir, `${baseName}.json`);
+      if (result.relationships && result.relationships.length > 0) {
+        console.log(`\nFound ${result.relationships.length} relationship(s):`);
+        result.relationships.forEach(relationship => {
+          const marriage = [formatGenealogicalDate(relationship.marriage_date), relationship.marriage_place].filter(Boolean).join(', ');
+          console.log(`  ${relationship.person_id} ${relationship.type} ${relationship.related_person_id}${marriage ? ` (married ${marriage})` : ''}`);
+        });
+      }
+      
+      if (result.voyages && result.voyages.length > 0) {
+        console.log(`\nFound ${result.voyages.length} voyage(s):`);
+        result.voyages.forEach(voyage => {
+          const details = [voyage.departure_port && `from ${voyage.departure_port}`, voyage.arrival_date && `arrived ${formatGenealogicalDate(voyage.arrival_date)}`, voyage.master && `master ${voyage.master}`].filter(Boolean).join(', ');
+          const travellers = (result.passages || [])
+            .filter(passage => passage.voyage_id === voyage.id)
+            .map(passage => `${passage.person_id} (${[passage.role, passage.berth_class].filter(Boolean).join(', ')})`);
+          console.log(`  ${voyage.id} ${voyage.year}${details ? ` - ${details}` : ''}`);
+          if (travellers.length > 0) console.log(`    ${travellers.join(', ')}`);
+        });
+      }
+      
+      // Flag field values that differed between chunks of a long document
+      if (result.conflicts && result.conflicts.length > 0) {
+        console.warn(`\n⚠️  ${result.conflicts.length} conflicting value(s) found between document chunks:`);
+        result.conflicts.forEach(conflict => {
+          const values = conflict.values.map(({ value, chunk }) => `"${formatGenealogicalDate(value)}" (chunk ${chunk + 1})`).join(' vs ');
+          console.warn(`  ${conflict.person || conflict.relationship || conflict.voyage || conflict.passage} - ${conflict.field}: ${values}; kept "${formatGenealogicalDate(conflict.keptValue)}"`);
+        });
+      }
+      
+      // Flag the fields the providers of an ensemble disagreed on
+      if (result.disagreements && result.disagreements.length > 0) {
+        printDisagreements(result);
+      }
+      
+      // Flag field values the model gave no evidence for
+      if (result.unsupported && result.unsupported.length > 0) {
+        console.warn(`\n⚠️  ${result.unsupported.length} field value(s) not supported by a quote from the document:`);
+        result.unsupported.forEach(item => {
+          const evidence = item.quote ? `quote not found: "${item.quote}"` : 'no quote given';
+          console.warn(`  ${item.person} - ${item.field}: "${formatGenealogicalDate(item.value)}" (${evidence})`);
+        });
+      }
+      
+      // Flag place names that need checking against the gazetteer
+      if (result.placeReview && result.placeReview.length > 0) {
+        console.warn(`\n⚠️  ${result.placeReview.length} place(s) not matched exactly to the gazetteer:`);
+        result.placeReview.forEach(item => {
+          const detail = item.candidates.length > 0 ? ` - could be ${item.candidates.join(', ')}` : item.placeId ? ` - matched ${item.placeId}` : '';
+          console.warn(`  ${item.person} - ${item.field}: "${item.value}" (${item.match}${detail})`);
+        });
+      }
+      
+      // Flag values the model wasn't sure of
+      if (result.confidenceReview && result.confidenceReview.length > 0) {
+        const hidden = hideLowConfidence ? ', hidden above' : '';
+        console.warn(`\n⚠️  ${result.confidenceReview.length} value(s) below the confidence threshold of ${confidenceThreshold}${hidden}:`);
+        result.confidenceReview.forEach(item => {
+          console.warn(`  ${item.person} - ${item.field}: "${formatGenealogicalDate(item.value)}" (confidence ${item.score}${item.inferred ? ', inferred' : ''})`);
+        });
+      }
       
-      fs.writeFileSync(outputPath, JSON.stringify(result.data, null, 2));
+      // Flag dates and ages that can't all be right
+      if (result.consistency && result.consistency.warnings.length > 0) {
+        console.warn(`\n⚠️  ${result.consistency.warnings.length} consistency warning(s):`);
+        printConsistencyWarnings(result.consistency);
+      }
+      
+      if (result.prompts) {
+        console.log(`\nPrompts used: ${result.prompts.map(prompt => `${prompt.id} v${prompt.version} (${prompt.variant}, ${prompt.hash})`).join(', ')}`);
+      }
+      
+      // Save the result to a JSON file in the same directory as the Word document
+      const outputPath = writeExtractionOutput(docPath, result);
       console.log(`\nSaved extracted data to: ${outputPath}`);
+      console.log(`Saved document text given to the model to: ${getDocumentTextPath(docPath, result.documentFormat)}`);
     } else {
       console.error('\nError processing document:');
       console.error(result.error || 'Unknown error');
@@ -195,7 +694,12 @@ Options:
         console.log('\nPartial data (invalid):');
         console.log(JSON.stringify(result.data, null, 2));
       }
+      
+      process.exitCode = 1;
     }
+    
+    printUsage(result.usage);
+    printCacheStats(cache);
   } catch (error) {
     console.error('Unexpected error:', error);
     process.exit(1);
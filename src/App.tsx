@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from "react";
 import {
+  Badge,
   Button,
+  CheckboxField,
   Heading,
   Flex,
+  Text,
   View,
   Grid,
   Divider,
@@ -20,11 +23,50 @@ interface UserProfile {
   email: string;
 }
 
+// A date only as precise as the source (see amplify/data/resource.ts)
+interface GenealogicalDate {
+  original?: string | null;
+  date: string;
+}
+
+// Define the Person type, with the fields shown
+interface Person {
+  id: string;
+  first_name: string;
+  last_name: string;
+  gender?: string | null;
+  birth_date?: GenealogicalDate | null;
+  birth_place?: string | null;
+  death_date?: GenealogicalDate | null;
+  death_place?: string | null;
+  age_at_death?: string | null;
+  burial_date?: GenealogicalDate | null;
+  burial_place?: string | null;
+  // Set when a field is below the confidence threshold, so the record is checked by hand
+  needs_review?: boolean | null;
+  review_fields?: (string | null)[] | null;
+}
+
+// The person fields shown, with their labels
+const PERSON_FIELDS: [keyof Person, string][] = [
+  ["gender", "Gender"],
+  ["birth_date", "Born"],
+  ["birth_place", "Birth place"],
+  ["death_date", "Died"],
+  ["death_place", "Death place"],
+  ["age_at_death", "Age at death"],
+  ["burial_date", "Buried"],
+  ["burial_place", "Burial place"],
+];
+
 // Define a type for the Amplify client models
 interface AmplifyClientModels {
   UserProfile: {
     list: () => Promise<{ data: UserProfile[] }>;
   };
+  Person: {
+    list: () => Promise<{ data: Person[] }>;
+  };
   [key: string]: any;
 }
 
@@ -38,12 +80,23 @@ const client = generateClient({
   authMode: "userPool",
 }) as TypedClient;
 
+// Show a field's value, dates as written in the document
+function formatValue(value: Person[keyof Person]): string {
+  if (value && typeof value === "object" && "date" in value) {
+    return value.original || value.date;
+  }
+  return String(value);
+}
+
 export default function App(): React.ReactElement {
   const [userprofiles, setUserProfiles] = useState<UserProfile[]>([]);
+  const [persons, setPersons] = useState<Person[]>([]);
+  const [reviewOnly, setReviewOnly] = useState(false);
   const { signOut } = useAuthenticator((context) => [context.user]);
 
   useEffect(() => {
     fetchUserProfile();
+    fetchPersons();
   }, []);
 
   async function fetchUserProfile(): Promise<void> {
@@ -55,6 +108,17 @@ export default function App(): React.ReactElement {
     }
   }
 
+  async function fetchPersons(): Promise<void> {
+    try {
+      const { data } = await client.models.Person.list();
+      setPersons(data);
+    } catch (error) {
+      console.error("Error fetching persons:", error);
+    }
+  }
+
+  const shownPersons = reviewOnly ? persons.filter((person) => person.needs_review) : persons;
+
   return (
     <Flex
       className="App"
@@ -93,6 +157,44 @@ export default function App(): React.ReactElement {
           </Flex>
         ))}
       </Grid>
+
+      <Heading level={2}>Persons</Heading>
+      <CheckboxField
+        label="Only show persons with low confidence values to check"
+        name="reviewOnly"
+        checked={reviewOnly}
+        onChange={(event) => setReviewOnly(event.target.checked)}
+      />
+
+      <Flex direction="column" gap="1rem" width="100%" margin="1rem 0 3rem">
+        {shownPersons.map((person) => (
+          <View key={person.id} border="1px solid #ccc" padding="1rem" borderRadius="5px">
+            <Flex alignItems="center" gap="1rem">
+              <Heading level={3 as HeadingLevel}>
+                {person.first_name} {person.last_name}
+              </Heading>
+              {person.needs_review && <Badge variation="warning">Needs review</Badge>}
+            </Flex>
+            {PERSON_FIELDS.filter(([field]) => person[field]).map(([field, label]) => {
+              // Values below the confidence threshold are highlighted, to be checked against the document
+              const lowConfidence = Boolean(person.review_fields && person.review_fields.includes(field));
+              return (
+                <Text
+                  key={field}
+                  backgroundColor={lowConfidence ? "#fff3cd" : undefined}
+                  title={lowConfidence ? "Low confidence: check against the document" : undefined}
+                >
+                  {label}: {formatValue(person[field])}
+                  {lowConfidence && " (low confidence)"}
+                </Text>
+              );
+            })}
+          </View>
+        ))}
+        {shownPersons.length === 0 && (
+          <Text>{reviewOnly ? "No persons need review." : "No persons yet."}</Text>
+        )}
+      </Flex>
       <Button onClick={signOut}>Sign Out</Button>
     </Flex>
   );
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractorRegistry } from '../utils/extractors/index.js';
+import { getOutputPath, getLegacyOutputPath } from '../utils/output-writer.js';
+
+/**
+ * Few-shot examples for the extraction prompt
+ * An example is a document with the output it should give saved next to it under
+ * the same name (e.g. PersonDetails.docx and PersonDetails.docx.json), which is the file
+ * process-document.js writes. Process a test document, check and correct its output,
+ * and it can be shown to the model as a worked example. Outputs named the way older
+ * runs saved them (PersonDetails.json) are used too.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+
+export const DEFAULT_EXAMPLES_DIR = path.resolve(path.dirname(__filename), '../../documents/_Tests');
+
+/**
+ * Get the extraction output of an example in the prompt's output format
+ * Older outputs were a list of persons, newer ones an object with each list
+ * @param {any} output - The parsed example output file
+ * @returns {Object|null} - The `persons`, `relationships`, `voyages` and `passages`, or null if it isn't an extraction
+ * @private
+ */
+function toExampleOutput(output) {
+  if (Array.isArray(output)) {
+    return { persons: output, relationships: [], voyages: [], passages: [] };
+  }
+  if (output && Array.isArray(output.persons)) {
+    return {
+      persons: output.persons,
+      relationships: output.relationships || [],
+      voyages: output.voyages || [],
+      passages: output.passages || []
+    };
+  }
+  return null;
+}
+
+/**
+ * Find the examples in a directory: documents with an output file of the same name
+ * @param {string} dir - The directory of examples
+ * @returns {Array<Object>} - Each example's `name` (the document name without extension), `documentPath`
+ * and `outputPath`, sorted by name
+ */
+export function findExamples(dir = DEFAULT_EXAMPLES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => path.extname(file).toLowerCase() !== '.json' && extractorRegistry.findByExtension(file))
+    .map(file => {
+      const documentPath = path.join(dir, file);
+      const outputPath = [getOutputPath(documentPath), getLegacyOutputPath(documentPath)].find(candidate => fs.existsSync(candidate));
+      return { name: path.basename(file, path.extname(file)), documentPath, outputPath };
+    })
+    .filter(example => example.outputPath)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load few-shot examples, extracting the text of each document
+ * @param {Object} options - Which examples to load
+ * @param {string} options.dir - The directory of examples (defaults to documents/_Tests)
+ * @param {Array<string>} options.names - The examples to use, by document name without extension (defaults to all)
+ * @param {number} options.count - The most examples to use
+ * @returns {Promise<Array<Object>>} - Each example's `name`, document `text` and expected `output`
+ */
+export async function loadFewShotExamples(options = {}) {
+  let examples = findExamples(options.dir || DEFAULT_EXAMPLES_DIR);
+
+  if (options.names && options.names.length > 0) {
+    const missing = options.names.filter(name => !examples.some(example => example.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Few-shot example(s) not found: ${missing.join(', ')}. Each needs a document and a .json output of the same name`);
+    }
+    examples = options.names.map(name => examples.find(example => example.name === name));
+  }
+
+  const loaded = [];
+  for (const example of examples) {
+    if (options.count !== undefined && loaded.length >= options.count) break;
+
+    const output = toExampleOutput(JSON.parse(fs.readFileSync(example.outputPath, 'utf8')));
+    if (!output) {
+      console.warn(`⚠️  Skipping few-shot example ${example.name}: ${example.outputPath} isn't an extraction output`);
+      continue;
+    }
+
+    const extractor = extractorRegistry.create(extractorRegistry.findExtractor(example.documentPath));
+    const { text } = await extractor.extractText(example.documentPath);
+    loaded.push({ name: example.name, text, output });
+  }
+
+  return loaded;
+}
+
+/**
+ * Format examples for the {{examples}} placeholder of the extraction prompt
+ * @param {Array<Object>} examples - The examples, each with its document `text` and expected `output`
+ * @returns {string} - The examples section, or an empty string when there are none
+ */
+export function formatExamples(examples = []) {
+  if (examples.length === 0) return '';
+
+  const sections = examples.map((example, index) => [
+    `Example ${index + 1} document:`,
+    example.text.trim(),
+    '',
+    `Example ${index + 1} output:`,
+    JSON.stringify(example.output, null, 2)
+  ].join('\n'));
+
+  return `EXAMPLES:
+The examples below show documents and the output expected for them. Extract from the DOCUMENT that follows them, not from the examples.
+
+${sections.join('\n\n')}
+
+`;
+}
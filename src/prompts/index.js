@@ -0,0 +1,21 @@
+import { promptRegistry, PromptRegistry, interpolate } from './prompt-registry.js';
+import { PERSON_EXTRACTION_TEMPLATE, PERSON_EXTRACTION_TEMPLATE_V2 } from './person-extraction-prompt.js';
+import { REPAIR_TEMPLATE } from './repair-prompt.js';
+import { loadFewShotExamples, formatExamples, findExamples, DEFAULT_EXAMPLES_DIR } from './few-shot-examples.js';
+
+// Register the built-in prompts
+// Register each new version alongside the old ones, so older results can still be reproduced
+promptRegistry.register(PERSON_EXTRACTION_TEMPLATE);
+promptRegistry.register(PERSON_EXTRACTION_TEMPLATE_V2);
+promptRegistry.register(REPAIR_TEMPLATE);
+
+// Export all the prompt components
+export {
+  promptRegistry,
+  PromptRegistry,
+  interpolate,
+  loadFewShotExamples,
+  formatExamples,
+  findExamples,
+  DEFAULT_EXAMPLES_DIR
+};
@@ -1,60 +1,301 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
 /**
  * This is a sample prompt template for extracting structured person information from historical documents.
- * You can modify this prompt as needed based on the specific LLM you're using and the type of documents you're processing.
+ * It is registered in the prompt registry (see src/prompts/index.js) as person-extraction. Don't change a
+ * released version: copy it, make the change and register it with the next version number.
+ * Variables: {{document_text}} and {{examples}} (the few-shot examples section, empty when there are none)
  */
 
-export const PERSON_EXTRACTION_PROMPT = `
+// Get the directory name using import.meta
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The start and the instructions are the same in every version. Released versions are built
+// from them, so a change goes in a copy used by the next version
+const EXTRACTION_INTRO = `
 You are a specialized assistant for extracting historical biographical information from documents about passengers and crew members who traveled on the City of Adelaide ship.
 
 TASK:
-Extract information about ALL distinct persons mentioned in the document. 
+Extract information about ALL distinct persons mentioned in the document, the family relationships between them, and the voyages of the City of Adelaide they travelled on.
 
 OUTPUT FORMAT:
-You MUST return a JSON object with this structure:
+`;
+
+/**
+ * The instructions, the document and the example of the output, the end of every version
+ * @param {string} citationExample - The example of a person's citations, in the form the version asks for
+ * @returns {string} - The end of the prompt
+ * @private
+ */
+function extractionInstructions(citationExample) {
+  return `INSTRUCTIONS:
+1. Your primary task is to identify EVERY distinct person mentioned.
+2. The document often contains information about multiple people - look for family members, spouses, children, and other individuals.
+3. For each person, extract all relevant biographical details that match the schema.
+4. Never make a date more precise than the document: if only a year is known, give just the year, and NEVER fill in a missing day or month with 01.
+5. For each person, only include fields where information is available.
+6. If a person has no middle names, set middle_names to null.
+7. First name and last name are required for each person.
+8. Even if the document focuses on one main person, include ALL other persons mentioned with biographical details.
+9. Pay special attention to family relationships - each mention of a spouse, child, parent, or sibling should result in an additional person entry.
+10. People are often mentioned in passing - make sure to capture them all.
+11. Give every person a unique id (p1, p2, p3, ...) and record each family relationship ONCE in the "relationships" array using those ids: a parent_of entry from each parent to each child, a spouse_of entry for each marriage (with its date and place when given), and a sibling_of entry between siblings.
+12. Record each voyage of the City of Adelaide mentioned ONCE in the "voyages" array, and add a "passages" entry for every person who travelled on it. Children travelling with their parents are passengers too. Leave both arrays empty if the document doesn't mention a voyage.
+13. Build a timeline for each person in "events": add an event for every baptism, marriage, census entry, change of address and occupation mentioned. A marriage is recorded both as a spouse_of relationship and as a marriage event on each spouse.
+14. Quote the document word for word in "citations" - copy the sentence or phrase the value came from exactly, do not paraphrase or correct it. Do not include a field you cannot quote evidence for.
+15. The document may be formatted as Markdown. Headings usually hold a person's name, with the lines below describing that person until the next heading. In tables (children, census entries, headstone transcriptions) each row is a separate record and the first row holds the column headings.
+16. A person is often recorded under more than one name. Record each person ONCE, with every name they were known by: a woman's maiden name in birth_surname and her married names in married_surnames (written "née", "formerly" or "widow of"), nicknames and other names in aliases, and different spellings of their name in name_variants.
+17. Rate every value in "confidence". Set "inferred" to false when the document states the value outright, and true when you worked it out (e.g. a birth year from "aged 70 years", or a gender from a relationship). Give a score of 0.9 or more for values stated clearly, 0.6 to 0.8 for values inferred with little doubt, and below 0.6 for guesses, unclear handwriting or OCR text, and values the document contradicts.
+
+{{examples}}DOCUMENT:
+{{document_text}}
+
+OUTPUT:
+Return your response as a JSON object with a "persons" array containing all people identified in the document, a "relationships" array linking them, and the "voyages" and "passages" they travelled on. Always use this format:
+{
+  "persons": [
+    { "id": "p1", "first_name": "...", "last_name": "...", ..., "citations": ${citationExample}, "confidence": { "first_name": { "score": 0.95, "inferred": false }, ... } },
+    { "id": "p2", "first_name": "...", "last_name": "...", ..., "citations": { ... }, "confidence": { ... } },
+    ...
+  ],
+  "relationships": [
+    { "type": "spouse_of", "person_id": "p1", "related_person_id": "p2", "marriage_date": "...", "marriage_place": "..." },
+    { "type": "parent_of", "person_id": "p1", "related_person_id": "p3" },
+    ...
+  ],
+  "voyages": [
+    { "id": "v1", "year": 1866, "departure_port": "...", "arrival_date": "...", "master": "..." }
+  ],
+  "passages": [
+    { "person_id": "p1", "voyage_id": "v1", "role": "passenger", "berth_class": "...", "age_on_embarkation": "..." },
+    ...
+  ]
+}
+`;
+}
+
+export const PERSON_EXTRACTION_PROMPT = `${EXTRACTION_INTRO}You MUST return a JSON object with this structure:
 {
   "persons": [
     { person1 details },
     { person2 details },
     ...
+  ],
+  "relationships": [
+    { relationship1 details },
+    ...
+  ],
+  "voyages": [
+    { voyage1 details },
+    ...
+  ],
+  "passages": [
+    { passage1 details },
+    ...
   ]
 }
 
 SCHEMA (for each person):
 {
+  "id": "Identifier for the person within this document: p1, p2, p3, ... (required)",
+  "title": "Title or form of address, e.g. Rev., Captain, Dr, Mrs (not part of first_name)",
   "first_name": "First name of the person (required)",
   "middle_names": "Middle name(s) of the person, if any (can be null)",
-  "last_name": "Last name of the person (required)",
+  "last_name": "Last name the person is best known by in the document (required)",
+  "suffix": "Suffix after the name, e.g. Jr, Sr, III (not part of last_name)",
+  "birth_surname": "Surname the person was born with (maiden name), if different from last_name",
+  "married_surnames": "Array of surnames the person took on marriage, in order",
+  "aliases": "Array of other names the person was known by, e.g. nicknames ('Polly Smith') or names used in other records",
+  "name_variants": "Array of other spellings of the person's full name found in the document, e.g. ['William Budgett'] for William Badgett",
   "gender": "Gender (Male, Female, or null if unknown)",
-  "birth_date": "Date of birth in YYYY-MM-DD format (use approximate date if exact date is unknown, e.g., '1850-01-01' for 'circa 1850')",
+  "birth_date": "Date of birth (a DATE object, see below)",
   "birth_place": "Place of birth",
-  "death_date": "Date of death in YYYY-MM-DD format",
+  "death_date": "Date of death (a DATE object, see below)",
   "death_place": "Location where the person died",
   "age_at_death": "Age at death (as a string, e.g., '65 years')",
-  "burial_place": "Place where the person was buried"
+  "burial_date": "Date of burial (a DATE object, see below)",
+  "burial_place": "Place where the person was buried",
+  "events": "Other events in the person's life (an array of EVENT objects, see below)",
+  "citations": "An object giving, for EVERY field above that has a value (except id), the exact text from the document it came from, e.g. { "birth_place": "born at Hindmarsh", "burial_place": "buried in Saint Judes Cemetery, Brighton" }",
+  "confidence": "An object giving, for EVERY field above that has a value (except id), how sure you are of the value: { "score": 0 to 1, "inferred": true or false }, e.g. { "birth_date": { "score": 0.5, "inferred": true } }"
 }
 
-INSTRUCTIONS:
-1. Your primary task is to identify EVERY distinct person mentioned.
-2. The document often contains information about multiple people - look for family members, spouses, children, and other individuals.
-3. For each person, extract all relevant biographical details that match the schema.
-4. For dates, use YYYY-MM-DD format. If only a year is known, use YYYY-01-01.
-5. For each person, only include fields where information is available.
-6. If a person has no middle names, set middle_names to null.
-7. First name and last name are required for each person.
-8. Even if the document focuses on one main person, include ALL other persons mentioned with biographical details.
-9. Pay special attention to family relationships - each mention of a spouse, child, parent, or sibling should result in an additional person entry.
-10. People are often mentioned in passing - make sure to capture them all.
+SCHEMA (for each relationship):
+{
+  "type": "One of parent_of, spouse_of or sibling_of (required)",
+  "person_id": "id of the first person (required). For parent_of this is the parent",
+  "related_person_id": "id of the second person (required). For parent_of this is the child",
+  "marriage_date": "For spouse_of only: date of the marriage (a DATE object, see below)",
+  "marriage_place": "For spouse_of only: place of the marriage"
+}
 
-DOCUMENT:
-[DOCUMENT_TEXT]
+SCHEMA (for each voyage of the City of Adelaide):
+{
+  "id": "Identifier for the voyage within this document: v1, v2, ... (required)",
+  "year": "Year the voyage departed, as a number (required)",
+  "departure_port": "Port the ship departed from (e.g. London, Plymouth)",
+  "arrival_date": "Date the ship arrived in South Australia (a DATE object, see below)",
+  "master": "Name of the ship's master (captain)"
+}
 
-OUTPUT:
-Return your response as a JSON object with a "persons" array containing all people identified in the document. Always use this format:
+SCHEMA (for each person who travelled on a voyage):
 {
-  "persons": [
-    { "first_name": "...", "last_name": "...", ... },
-    { "first_name": "...", "last_name": "...", ... },
-    ...
-  ]
+  "person_id": "id of the person (required)",
+  "voyage_id": "id of the voyage (required)",
+  "role": "passenger or crew (required)",
+  "berth_class": "Class the passenger travelled in (e.g. cabin, intermediate, steerage), or the crew member's position",
+  "age_on_embarkation": "Age when the person boarded (as a string, e.g. '24 years' or '6 months')",
+  "notes": "Other details of the passage, such as a birth or death on board"
+}
+
+EVENT (for each event in a person's life other than birth, death and burial):
+{
+  "type": "One of baptism, marriage, census, residence, occupation, emigration, immigration, military, education or other (required)",
+  "date": "Date of the event (a DATE object, see below)",
+  "place": "Place the event happened",
+  "description": "What happened, e.g. the occupation, who they married, or who was in the household in a census",
+  "source": "The record the event comes from, e.g. '1871 England Census' or 'Parish register'"
+}
+
+DATE (for every date field):
+{
+  "original": "The date exactly as written in the document, e.g. 'circa 1850' or 'March 1866'",
+  "qualifier": "exact, about, before, after or between (required)",
+  "date": "The date as YYYY-MM-DD, YYYY-MM or YYYY - only as precise as the document (required). For between, the start of the range",
+  "end_date": "For between only: the end of the range as YYYY-MM-DD, YYYY-MM or YYYY"
+}
+Examples: "circa 1850" is { "original": "circa 1850", "qualifier": "about", "date": "1850" }, "March 1866" is { "original": "March 1866", "qualifier": "exact", "date": "1866-03" }, "before 3 May 1870" is { "original": "before 3 May 1870", "qualifier": "before", "date": "1870-05-03" }, "between 1850 and 1855" is { "original": "between 1850 and 1855", "qualifier": "between", "date": "1850", "end_date": "1855" }.
+
+${extractionInstructions('{ "first_name": "...", "last_name": "...", ... }')}`;
+
+// The system prompt sent with the extraction prompt
+export const EXTRACTION_SYSTEM_PROMPT = 'You are a specialized assistant for extracting historical biographical information. Your output should ALWAYS be valid JSON only.';
+
+// OpenAI's JSON mode needs the system prompt to describe the JSON object wanted
+export const OPENAI_EXTRACTION_SYSTEM_PROMPT = 'You are a specialized assistant for extracting historical biographical information. Return your response as a valid JSON object with a "persons" array containing all people, a "relationships" array linking them, and "voyages" and "passages" arrays for the voyages they travelled on.';
+
+// Version 2 describes the response with the text generated (by describeSchema) from the schema
+// files in src/schemas when it was released, kept here so later schema changes don't change it
+export const PERSON_EXTRACTION_PROMPT_V2 = `${EXTRACTION_INTRO}You MUST return a JSON object matching this schema. Only include fields the document gives information for.
+
+The response object:
+{
+  "persons": "Array of details for passengers or crew members that traveled on the City of Adelaide ship (array of person objects, required)",
+  "relationships": "Family relationships between the persons extracted from one document, referenced by their per-document person IDs (array of relationship objects, required)",
+  "voyages": "Voyages of the City of Adelaide mentioned in one document, referenced by their per-document voyage IDs (array of voyage objects, required)",
+  "passages": "Persons who travelled on a voyage of the City of Adelaide, referenced by their per-document person and voyage IDs (array of passage objects, required)"
+}
+
+Each person object:
+{
+  "id": "Identifier of the person within the document (e.g. p1), used to reference them in relationships (string)",
+  "title": "Title or form of address the person is given, e.g. Rev., Captain, Dr, Mrs (string or null)",
+  "first_name": "First name of the person (string, required)",
+  "middle_names": "Middle name(s) of the person (string or null)",
+  "last_name": "Last name the person is best known by in the document (string, required)",
+  "suffix": "Suffix after the person's name, e.g. Jr, Sr, III (string or null)",
+  "birth_surname": "Surname the person was born with (maiden name), if different from last_name (string or null)",
+  "married_surnames": "Surnames the person took on marriage, in order (array of strings)",
+  "aliases": "Other names the person was known by, such as nicknames or names used in other records (array of strings)",
+  "name_variants": "Other spellings of the person's full name found in the document, e.g. 'William Budgett' for William Badgett (array of strings)",
+  "gender": "Gender of the person, can be Male, Female or Null if unknown (one of Male, Female or null)",
+  "birth_date": "Date the person was born, as precise as the document gives it (genealogicalDate object or null)",
+  "birth_place": "Place of birth for the person (string or null)",
+  "death_date": "Date the person died, as precise as the document gives it (genealogicalDate object or null)",
+  "death_place": "Location the person died (string or null)",
+  "age_at_death": "Age of the person at death (string or null)",
+  "burial_date": "Date the person was buried, as precise as the document gives it (genealogicalDate object or null)",
+  "burial_place": "Place the person was buried (string or null)",
+  "events": "Events in the person's life other than birth, death and burial, in date order (array of event objects)",
+  "citations": "Evidence for each extracted field, by field name: the quote from the document text the value came from (object of citation objects by field name)",
+  "confidence": "How sure the model is of each extracted field, by field name, and whether the value was stated in the document or inferred (object of fieldConfidence objects by field name)"
+}
+
+Each relationship object:
+{
+  "type": "Type of relationship: parent_of (person is a parent of the related person), spouse_of or sibling_of (one of parent_of, spouse_of or sibling_of, required)",
+  "person_id": "ID of the person the relationship is from (string, required)",
+  "related_person_id": "ID of the person the relationship is to (string, required)",
+  "marriage_date": "Date of the marriage for spouse_of relationships, as precise as the document gives it (genealogicalDate object or null)",
+  "marriage_place": "Place of the marriage for spouse_of relationships (string or null)"
+}
+
+Each voyage object:
+{
+  "id": "Identifier for the voyage within the document (v1, v2, ...) (string, required)",
+  "year": "Year the voyage departed (integer, from 1864 to 1887, required)",
+  "departure_port": "Port the ship departed from, e.g. London or Plymouth (string or null)",
+  "arrival_date": "Date the ship arrived in South Australia, as precise as the document gives it (genealogicalDate object or null)",
+  "master": "Name of the ship's master (captain) on the voyage (string or null)"
+}
+
+Each passage object:
+{
+  "person_id": "ID of the person who travelled (string, required)",
+  "voyage_id": "ID of the voyage they travelled on (string, required)",
+  "role": "Whether the person travelled as a passenger or a member of the crew (one of passenger or crew, required)",
+  "berth_class": "Class the passenger travelled in (e.g. cabin, intermediate, steerage) or the crew member's position (string or null)",
+  "age_on_embarkation": "Age when the person boarded (as a string, e.g. '24 years' or '6 months') (string or null)",
+  "notes": "Other details of the passage, such as births or deaths on board (string or null)"
+}
+
+Each genealogicalDate object: A date as precise as the source gives it, e.g. { "original": "circa 1850", "qualifier": "about", "date": "1850" }
+{
+  "original": "The date as written in the document (string or null)",
+  "qualifier": "exact (known to the precision of date), about, before, after or between (date to end_date) (one of exact, about, before, after or between, required)",
+  "date": "The date (or start of the range) as YYYY, YYYY-MM or YYYY-MM-DD (string, matching ^\\\\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\\\\d|3[01]))?)?$, required)",
+  "end_date": "End of the range for between dates, as YYYY, YYYY-MM or YYYY-MM-DD (string or null, matching ^\\\\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\\\\d|3[01]))?)?$)"
+}
+
+Each event object:
+{
+  "type": "Type of event (one of baptism, marriage, census, residence, occupation, emigration, immigration, military, education or other, required)",
+  "date": "Date of the event, as precise as the document gives it (genealogicalDate object or null)",
+  "place": "Place the event happened (string or null)",
+  "description": "What happened, e.g. the occupation, the spouse's name or the household in a census (string or null)",
+  "source": "Record the event comes from, e.g. '1871 England Census' or 'Parish register, St Mary's Church' (string or null)"
 }
-`;
\ No newline at end of file
+
+Each citation object:
+{
+  "quote": "Text quoted from the document as evidence for the field (string or null, required)"
+}
+
+Each fieldConfidence object:
+{
+  "score": "Confidence in the value, from 0 (a guess) to 1 (stated clearly in the document) (number or null, from 0 to 1, required)",
+  "inferred": "Whether the value was worked out from other details rather than stated in the document (boolean)"
+}
+
+Date examples: "circa 1850" is { "original": "circa 1850", "qualifier": "about", "date": "1850" }, "March 1866" is { "original": "March 1866", "qualifier": "exact", "date": "1866-03" }, "before 3 May 1870" is { "original": "before 3 May 1870", "qualifier": "before", "date": "1870-05-03" }, "between 1850 and 1855" is { "original": "between 1850 and 1855", "qualifier": "between", "date": "1850", "end_date": "1855" }.
+
+${extractionInstructions('{ "first_name": { "quote": "..." }, "last_name": { "quote": "..." }, ... }')}`;
+
+// The schema each version's output is constrained to (see structured-output.js). Version 2's is
+// src/schemas as it was at its release. Version 1 was written before structured output and shows
+// each citation as the quoted text, so its schema takes a string for each citation
+const PERSON_EXTRACTION_SCHEMA_V2 = JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'person-extraction-v2.json'), 'utf8'));
+const PERSON_EXTRACTION_SCHEMA = JSON.parse(JSON.stringify(PERSON_EXTRACTION_SCHEMA_V2));
+PERSON_EXTRACTION_SCHEMA.definitions.person.properties.citations.additionalProperties = { type: 'string' };
+
+export const PERSON_EXTRACTION_TEMPLATE = {
+  id: 'person-extraction',
+  version: 1,
+  description: 'Extract the persons, relationships, voyages and passages in a document',
+  template: PERSON_EXTRACTION_PROMPT,
+  system: EXTRACTION_SYSTEM_PROMPT,
+  schema: PERSON_EXTRACTION_SCHEMA,
+  variants: {
+    openai: { system: OPENAI_EXTRACTION_SYSTEM_PROMPT }
+  }
+};
+
+export const PERSON_EXTRACTION_TEMPLATE_V2 = {
+  ...PERSON_EXTRACTION_TEMPLATE,
+  version: 2,
+  template: PERSON_EXTRACTION_PROMPT_V2,
+  schema: PERSON_EXTRACTION_SCHEMA_V2
+};
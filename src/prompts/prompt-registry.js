@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+
+/**
+ * Registry of prompt templates keyed by ID and version
+ * Templates are never changed once released: a changed prompt is registered as a
+ * new version, so every output can say exactly which prompt produced it.
+ */
+
+/**
+ * Fill in the {{variable}} placeholders of a template
+ * Values are inserted as they are, so text containing braces (e.g. a document
+ * quoting JSON) isn't interpolated again.
+ * @param {string} template - The template text
+ * @param {Object} variables - The value of each variable
+ * @returns {string} - The text with every placeholder replaced
+ * @throws {Error} - If the template uses a variable that wasn't given
+ */
+export function interpolate(template, variables = {}) {
+  return template.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Missing prompt variable: ${name}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Get the variables a template uses
+ * @param {string} template - The template text
+ * @returns {Array<string>} - The variable names, in the order they first appear
+ */
+export function getTemplateVariables(template) {
+  const names = [...template.matchAll(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+export class PromptRegistry {
+  constructor() {
+    // The versions of each template, by ID
+    this.templates = {};
+  }
+
+  /**
+   * Register a version of a prompt template
+   * @param {Object} template - The template
+   * @param {string} template.id - The template ID, e.g. person-extraction
+   * @param {number} template.version - The version, a whole number that goes up with each change
+   * @param {string} template.description - What the prompt is for
+   * @param {string} template.template - The prompt text, with {{variable}} placeholders
+   * @param {string} template.system - The system prompt sent with it
+   * @param {Object} template.schema - The JSON schema the response is constrained to, if the prompt asks for one
+   * @param {Object} template.variants - Changes to `template` or `system` for particular providers, by provider name
+   */
+  register(template) {
+    if (!template.id || !Number.isInteger(template.version) || typeof template.template !== 'string') {
+      throw new Error('A prompt template needs an id, a whole number version and the template text');
+    }
+
+    const versions = this.templates[template.id] || (this.templates[template.id] = []);
+    if (versions.some(existing => existing.version === template.version)) {
+      throw new Error(`Prompt ${template.id} version ${template.version} is already registered. Register the change as a new version`);
+    }
+
+    versions.push({ variants: {}, system: '', ...template });
+    versions.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get the registered versions of a template
+   * @param {string} id - The template ID
+   * @returns {Array<number>} - The versions, oldest first
+   */
+  getVersions(id) {
+    return (this.templates[id] || []).map(template => template.version);
+  }
+
+  /**
+   * Get the IDs of every registered template
+   * @returns {Array<string>} - The template IDs
+   */
+  getTemplateIds() {
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * Get a template, with the variant for a provider applied
+   * @param {string} id - The template ID
+   * @param {Object} options - Which template to get
+   * @param {number} options.version - The version (defaults to the latest)
+   * @param {string} options.provider - The provider the prompt is for, to use its variant if it has one
+   * @returns {Object} - The template's `id`, `version`, `variant` (the provider name, or default),
+   * `template`, `system`, `schema` and `hash`, a short hash of the text and schema that identifies the exact prompt
+   */
+  get(id, options = {}) {
+    const versions = this.templates[id];
+    if (!versions || versions.length === 0) {
+      throw new Error(`Prompt '${id}' is not registered`);
+    }
+
+    const version = options.version !== undefined && options.version !== null ? Number(options.version) : null;
+    const template = version === null
+      ? versions[versions.length - 1]
+      : versions.find(entry => entry.version === version);
+    if (!template) {
+      throw new Error(`Prompt '${id}' has no version ${version}. Registered versions: ${this.getVersions(id).join(', ')}`);
+    }
+
+    const variant = options.provider && template.variants[options.provider] ? options.provider : 'default';
+    const overrides = variant === 'default' ? {} : template.variants[variant];
+    const resolved = {
+      id: template.id,
+      version: template.version,
+      variant,
+      template: overrides.template !== undefined ? overrides.template : template.template,
+      system: overrides.system !== undefined ? overrides.system : template.system,
+      schema: template.schema
+    };
+
+    resolved.hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ template: resolved.template, system: resolved.system, schema: resolved.schema }))
+      .digest('hex')
+      .substring(0, 12);
+    return resolved;
+  }
+
+  /**
+   * Render a template with its variables
+   * @param {string} id - The template ID
+   * @param {Object} variables - The value of each variable in the template
+   * @param {Object} options - Which template to use (see get)
+   * @returns {Object} - The `prompt` and `systemPrompt` to send, and the `info` identifying the template
+   * (`id`, `version`, `variant` and `hash`) to record with the result
+   */
+  render(id, variables = {}, options = {}) {
+    const template = this.get(id, options);
+    return {
+      prompt: interpolate(template.template, variables),
+      systemPrompt: interpolate(template.system, variables),
+      info: {
+        id: template.id,
+        version: template.version,
+        variant: template.variant,
+        hash: template.hash
+      }
+    };
+  }
+}
+
+// Create and export a singleton instance
+export const promptRegistry = new PromptRegistry();
@@ -0,0 +1,44 @@
+import { EXTRACTION_SYSTEM_PROMPT, OPENAI_EXTRACTION_SYSTEM_PROMPT } from './person-extraction-prompt.js';
+
+/**
+ * Prompt template for asking the LLM to correct an extraction that failed schema validation.
+ * The validation errors and the JSON that caused them are sent back to the model that produced it.
+ * Registered in the prompt registry as extraction-repair.
+ * Variables: {{validation_errors}} and {{invalid_json}}
+ */
+
+export const REPAIR_PROMPT = `
+You are a specialized assistant for extracting historical biographical information from documents about passengers and crew members who traveled on the City of Adelaide ship.
+
+TASK:
+The JSON below was extracted from a document, but it failed validation. Correct it so that it passes, fixing ONLY the problems listed.
+
+VALIDATION ERRORS:
+{{validation_errors}}
+
+Each error gives the path to the invalid value (instance is the whole "persons" array, or the whole "relationships", "voyages" or "passages" array) and what is wrong with it.
+
+INSTRUCTIONS:
+1. Keep every person, relationship, voyage and passage, and every field that is valid, exactly as it is.
+2. Fix each invalid value: use one of the allowed values, the required type, or the required format. Dates are objects with "original", "qualifier" (exact, about, before, after or between) and "date" (YYYY-MM-DD, YYYY-MM or YYYY), plus "end_date" for between.
+3. If a required field is missing, add it only when the value is clear from the rest of the record. If a value can't be corrected, set it to null or remove the field rather than guessing.
+4. Relationships and passages must only refer to the ids of persons and voyages in the JSON.
+5. Do not add information that isn't already in the JSON.
+
+INVALID JSON:
+{{invalid_json}}
+
+OUTPUT:
+Return the complete corrected JSON object, with the same "persons", "relationships", "voyages" and "passages" arrays, and nothing else.
+`;
+
+export const REPAIR_TEMPLATE = {
+  id: 'extraction-repair',
+  version: 1,
+  description: 'Correct an extraction that failed schema validation',
+  template: REPAIR_PROMPT,
+  system: EXTRACTION_SYSTEM_PROMPT,
+  variants: {
+    openai: { system: OPENAI_EXTRACTION_SYSTEM_PROMPT }
+  }
+};
@@ -0,0 +1,284 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { processDocument } from './document-processor.js';
+import { UsageTracker } from './llm/usage-tracker.js';
+import { writeExtractionOutput, isOutputFile, getOutputPath } from './output-writer.js';
+import { extractorRegistry } from './extractors/index.js';
+import { promptRegistry } from '../prompts/index.js';
+
+// Name of the manifest file written to the root of a processed directory
+export const MANIFEST_FILENAME = '.extraction-manifest.json';
+
+/**
+ * Status values recorded in the manifest for each file
+ */
+export const FILE_STATUS = {
+  SUCCESS: 'success',
+  VALIDATION_FAILED: 'validation_failed',
+  ERROR: 'error'
+};
+
+/**
+ * Check if a file should be considered by the batch processor at all
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - False for hidden files, Word lock files and earlier outputs
+ */
+function isCandidateFile(filePath) {
+  const fileName = path.basename(filePath);
+
+  // Skip Word lock files (~$Document.docx) and hidden files
+  if (fileName.startsWith('~$') || fileName.startsWith('.')) {
+    return false;
+  }
+
+  // Outputs of earlier runs are never processed or reported as unsupported
+  return !isOutputFile(filePath);
+}
+
+/**
+ * Recursively find all candidate files in a directory and split them by whether they can be processed
+ * @param {string} dirPath - The directory to walk
+ * @returns {Object} - Sorted lists of `supported` and `unsupported` file paths
+ */
+export function findDocumentFiles(dirPath) {
+  const supported = [];
+  const unsupported = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      const nested = findDocumentFiles(entryPath);
+      supported.push(...nested.supported);
+      unsupported.push(...nested.unsupported);
+    } else if (entry.isFile() && isCandidateFile(entryPath)) {
+      (extractorRegistry.isSupported(entryPath) ? supported : unsupported).push(entryPath);
+    }
+  }
+
+  return {
+    supported: supported.sort(),
+    unsupported: unsupported.sort()
+  };
+}
+
+/**
+ * Compute a SHA-256 hash of a file's content
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Hex encoded hash
+ */
+export function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Load a manifest from disk, or create an empty one if it doesn't exist
+ * @param {string} manifestPath - Path to the manifest file
+ * @returns {Object} - The manifest
+ */
+export function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return { version: 1, files: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.files = manifest.files || {};
+    return manifest;
+  } catch (error) {
+    console.warn(`Could not read manifest at ${manifestPath}, starting a new one:`, error.message);
+    return { version: 1, files: {} };
+  }
+}
+
+/**
+ * Write a manifest to disk
+ * @param {string} manifestPath - Path to the manifest file
+ * @param {Object} manifest - The manifest to save
+ */
+export function saveManifest(manifestPath, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Compute a hash of the settings of a run that change what is extracted from a document
+ * These are the exact text of each prompt template the providers would be given and
+ * the extraction options, so a new prompt version or option reprocesses every file
+ * @param {Object} options - The options passed to processDirectory
+ * @param {Array<string>} providers - The providers of the run
+ * @returns {string} - Short hex encoded hash
+ * @private
+ */
+function getSettingsHash(options, providers) {
+  const versions = options.promptVersions || {};
+  const prompts = promptRegistry.getTemplateIds().flatMap(id => providers.map(provider => {
+    const template = promptRegistry.get(id, { version: versions[id], provider });
+    return `${id}@${template.version}:${template.hash}`;
+  }));
+  const settings = {
+    prompts: [...new Set(prompts)],
+    llmOptions: options.llmOptions,
+    extractorOptions: options.extractorOptions,
+    maxRepairAttempts: options.maxRepairAttempts,
+    confidenceThreshold: options.confidenceThreshold,
+    ensemble: options.ensemble && { providers: options.ensemble.providers, vote: options.ensemble.vote, weights: options.ensemble.weights },
+    fewShot: options.fewShot
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').substring(0, 12);
+}
+
+/**
+ * Check if a file was already processed successfully with the same content and settings,
+ * and its output is still there under its current name
+ * @param {Object} entry - The manifest entry for the file (if any)
+ * @param {Object} current - The current `hash` of the file, the `provider` and `settings` hash of this run,
+ * and the `outputPath` the file's output is written to (relative to dirPath)
+ * @param {string} dirPath - The root directory the output path is relative to
+ * @returns {boolean} - True if the file can be skipped
+ */
+function isUnchanged(entry, current, dirPath) {
+  return Boolean(entry) &&
+    entry.status === FILE_STATUS.SUCCESS &&
+    entry.hash === current.hash &&
+    entry.provider === current.provider &&
+    entry.settings === current.settings &&
+    entry.outputPath === current.outputPath && fs.existsSync(path.join(dirPath, entry.outputPath));
+}
+
+/**
+ * Process every supported document in a directory tree
+ * Progress is recorded in a manifest after each file so an interrupted run can be resumed
+ * @param {string} dirPath - The root directory to process
+ * @param {Object} options - Options for processing
+ * @param {string} options.provider - The LLM provider to use
+ * @param {Object} options.llmOptions - Options to pass to the LLM
+ * @param {string} options.manifestPath - Where to store the manifest (defaults to the root directory)
+ * @param {boolean} options.force - Reprocess files even if they are unchanged
+ * @param {Object} options.extractorOptions - Options to pass to the text extractors (e.g. OCR langPath)
+ * @param {Object} options.consistencyRules - Consistency rule configuration (see ConsistencyChecker.check)
+ * @param {number} options.maxRepairAttempts - How many times to ask the LLM to correct data that fails validation
+ * @param {number} options.confidenceThreshold - The lowest field confidence that doesn't need review
+ * @param {Object} options.ensemble - Extract with several providers and vote on the result (see processDocument)
+ * @param {Object} options.promptVersions - The version of each prompt template to use, by template ID
+ * @param {Object|boolean} options.fewShot - Include worked examples in the extraction prompt (see processDocument)
+ * @param {number} options.budget - The most to spend on LLM calls for the whole run, in US dollars. The run
+ * stops before a call that could go over it, and the files not reached are listed in `notProcessed`
+ * @param {Object} options.pricing - Model prices to use as well as the pricing table (see MODEL_PRICING)
+ * @returns {Promise<Object>} - Summary of the batch run, with the LLM `usage` of the run
+ */
+export async function processDirectory(dirPath, options = {}) {
+  const provider = options.provider || 'mock';
+  // Ensemble runs are recorded under all of their providers, so changing the ensemble reprocesses every file
+  const runProvider = options.ensemble ? `ensemble:${options.ensemble.providers.join('+')}` : provider;
+  const settings = getSettingsHash(options, options.ensemble ? options.ensemble.providers : [provider]);
+  const manifestPath = options.manifestPath || path.join(dirPath, MANIFEST_FILENAME);
+  const manifest = loadManifest(manifestPath);
+
+  const { supported: files, unsupported } = findDocumentFiles(dirPath);
+  console.log(`Found ${files.length} supported file(s) in ${dirPath}`);
+
+  const summary = {
+    total: files.length,
+    unsupported: unsupported.map(filePath => path.relative(dirPath, filePath)),
+    skipped: [],
+    succeeded: [],
+    validationFailed: [],
+    errors: [],
+    notProcessed: []
+  };
+  const usageTracker = new UsageTracker({ budget: options.budget, pricing: options.pricing });
+
+  for (const [index, filePath] of files.entries()) {
+    const relativePath = path.relative(dirPath, filePath);
+    
+    // Once the budget has stopped a call, every file left would be stopped too
+    if (usageTracker.budgetExceeded) {
+      summary.notProcessed.push(relativePath);
+      continue;
+    }
+    
+    const hash = hashFile(filePath);
+    const previous = manifest.files[relativePath];
+
+    if (!options.force && isUnchanged(previous, { hash, provider: runProvider, settings, outputPath: path.relative(dirPath, getOutputPath(filePath)) }, dirPath)) {
+      console.log(`[${index + 1}/${files.length}] Skipping unchanged file: ${relativePath}`);
+      summary.skipped.push(relativePath);
+      continue;
+    }
+
+    console.log(`[${index + 1}/${files.length}] Processing: ${relativePath}`);
+    const entry = {
+      hash,
+      provider: runProvider,
+      settings,
+      processedAt: new Date().toISOString()
+    };
+
+    try {
+      const result = await processDocument(filePath, {
+        provider,
+        extractorOptions: options.extractorOptions,
+        llmOptions: options.llmOptions,
+        consistencyRules: options.consistencyRules,
+        maxRepairAttempts: options.maxRepairAttempts,
+        confidenceThreshold: options.confidenceThreshold,
+        ensemble: options.ensemble,
+        promptVersions: options.promptVersions,
+        fewShot: options.fewShot,
+        pricing: options.pricing,
+        usageTracker
+      });
+      
+      if (result.usage) {
+        const { calls, inputTokens, outputTokens, cost } = result.usage;
+        entry.usage = { calls, inputTokens, outputTokens, cost };
+      }
+      if (result.prompts) {
+        entry.prompts = result.prompts.map(prompt => `${prompt.id}@${prompt.version}`);
+      }
+
+      if (result.success) {
+        entry.status = FILE_STATUS.SUCCESS;
+        entry.personCount = result.data.length;
+        entry.relationshipCount = (result.relationships || []).length;
+        entry.passageCount = (result.passages || []).length;
+        entry.conflictCount = (result.conflicts || []).length;
+        entry.unsupportedCount = (result.unsupported || []).length;
+        entry.placeReviewCount = (result.placeReview || []).length;
+        entry.needsReviewCount = result.data.filter(person => person.needs_review).length;
+        if (result.disagreements) entry.disagreementCount = result.disagreements.length;
+        entry.repairAttemptCount = (result.repairAttempts || []).length;
+        entry.consistencyWarningCount = result.consistency ? result.consistency.warnings.length : 0;
+        entry.outputPath = path.relative(dirPath, writeExtractionOutput(filePath, result));
+        summary.succeeded.push(relativePath);
+      } else if (result.errors) {
+        entry.status = FILE_STATUS.VALIDATION_FAILED;
+        entry.error = result.errors.map(error => error.stack || error.message).join('; ');
+        entry.repairAttemptCount = (result.repairAttempts || []).length;
+        summary.validationFailed.push({ file: relativePath, error: entry.error });
+      } else {
+        entry.status = FILE_STATUS.ERROR;
+        entry.error = result.error || 'Unknown error';
+        summary.errors.push({ file: relativePath, error: entry.error });
+      }
+    } catch (error) {
+      entry.status = FILE_STATUS.ERROR;
+      entry.error = error.message;
+      summary.errors.push({ file: relativePath, error: entry.error });
+    }
+
+    manifest.files[relativePath] = entry;
+    saveManifest(manifestPath, manifest);
+  }
+
+  if (summary.notProcessed.length > 0) {
+    console.warn(`⚠️  Budget of $${options.budget} reached, ${summary.notProcessed.length} file(s) not processed`);
+  }
+  
+  summary.usage = usageTracker.getSummary();
+  summary.manifestPath = manifestPath;
+  return summary;
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { BUILT_IN_RULES, SEVERITY } from './consistency-rules.js';
+import { REGISTRY_FILENAME, loadExtractionOutputs } from '../person/entity-resolver.js';
+
+/**
+ * Runs genealogical consistency rules over extracted persons
+ * Schema validation only checks the shape of each record; these rules look for
+ * records that can't all be right, such as a death before birth or a mother
+ * born after her child. Problems are reported as warnings for review rather than
+ * failing the extraction, as the document itself may be wrong.
+ */
+export class ConsistencyChecker {
+  constructor() {
+    this.rules = {};
+  }
+
+  /**
+   * Register a rule
+   * @param {Object} rule - The rule, with an `id`, `description`, `defaults` and `check(dataset, options)` function
+   */
+  registerRule(rule) {
+    this.rules[rule.id] = rule;
+  }
+
+  /**
+   * Get the IDs of all registered rules
+   * @returns {Array<string>} - The rule IDs
+   */
+  getRuleIds() {
+    return Object.keys(this.rules);
+  }
+
+  /**
+   * Check a set of persons and the relationships between them
+   * Rules are configured by ID: `false` turns a rule off, and an object overrides
+   * its default options, e.g. `{ 'parent-age': { maxMotherAgeYears: 50 } }`
+   * @param {Object} dataset - The `persons` and their `relationships`
+   * @param {Object} config - Rule configuration by rule ID
+   * @returns {Object} - The report: the `warnings` found and a `summary` with the number of
+   * persons checked, the rules run and the number of errors and warnings
+   */
+  check(dataset, config = {}) {
+    const persons = (dataset.persons || []).filter(person => person && typeof person === 'object');
+    const relationships = dataset.relationships || [];
+    const personsById = new Map(persons.map(person => [person.id, person]));
+    const warnings = [];
+    const rulesRun = [];
+
+    for (const rule of Object.values(this.rules)) {
+      const ruleConfig = config[rule.id];
+      if (ruleConfig === false || (ruleConfig && ruleConfig.enabled === false)) continue;
+
+      const options = { ...rule.defaults, ...(typeof ruleConfig === 'object' ? ruleConfig : {}) };
+      rulesRun.push(rule.id);
+
+      try {
+        for (const problem of rule.check({ persons, relationships }, options)) {
+          const person = personsById.get(problem.personId);
+          warnings.push({
+            rule: rule.id,
+            ...problem,
+            person: person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() : problem.personId
+          });
+        }
+      } catch (error) {
+        console.error(`Error running consistency rule ${rule.id}:`, error);
+      }
+    }
+
+    return {
+      warnings,
+      summary: {
+        personCount: persons.length,
+        rules: rulesRun,
+        errorCount: warnings.filter(warning => warning.severity === SEVERITY.ERROR).length,
+        warningCount: warnings.filter(warning => warning.severity === SEVERITY.WARNING).length
+      }
+    };
+  }
+
+  /**
+   * Load a rule configuration file
+   * @param {string} configPath - Path to a JSON file of rule configuration by rule ID
+   * @returns {Object} - The rule configuration
+   */
+  static loadConfig(configPath) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+}
+
+// Shared checker with the built-in rules registered
+export const consistencyChecker = new ConsistencyChecker();
+for (const rule of BUILT_IN_RULES) {
+  consistencyChecker.registerRule(rule);
+}
+
+/**
+ * Check extracted persons with the shared checker
+ * @param {Object} dataset - The `persons` and their `relationships`
+ * @param {Object} config - Rule configuration by rule ID (see ConsistencyChecker.check)
+ * @returns {Object} - The consistency report
+ */
+export function checkConsistency(dataset, config = {}) {
+  return consistencyChecker.check(dataset, config);
+}
+
+/**
+ * Check every person in a directory of processed documents
+ * The person registry built by --resolve is checked when there is one, as it holds
+ * the persons from every document with their relationships across documents.
+ * Otherwise each document output is checked on its own.
+ * @param {string} dirPath - The directory holding the outputs
+ * @param {Object} config - Rule configuration by rule ID (see ConsistencyChecker.check)
+ * @returns {Array<Object>} - A consistency report for each `file` checked
+ */
+export function checkDirectory(dirPath, config = {}) {
+  const registryPath = path.join(dirPath, REGISTRY_FILENAME);
+  if (fs.existsSync(registryPath)) {
+    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    return [{ file: REGISTRY_FILENAME, ...checkConsistency(registry, config) }];
+  }
+
+  return loadExtractionOutputs(dirPath).map(output => ({
+    file: output.file,
+    ...checkConsistency(output, config)
+  }));
+}
@@ -0,0 +1,325 @@
+import { formatGenealogicalDate, getDateRange } from '../genealogical-date.js';
+
+/**
+ * Built-in genealogical consistency rules
+ * Each rule has an `id`, a `description`, the `defaults` for its options and a
+ * `check(dataset, options)` function that returns the problems it finds in a set
+ * of `persons` and their `relationships`. Each problem has a `severity` ('error'
+ * when the records can't both be right, 'warning' when they are just unlikely),
+ * the `personId` and `fields` it concerns, and a `message`.
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Convert a YYYY-MM-DD date to a day number, for working out ages
+ * @param {string} isoDate - The date
+ * @returns {number} - Days since 1970-01-01
+ * @private
+ */
+function toDays(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+/**
+ * Work out the range of time between two genealogical dates
+ * @param {Object} from - The earlier date
+ * @param {Object} to - The later date
+ * @returns {Object|null} - The `min` and `max` number of years (null when unbounded), or null if either date is missing
+ * @private
+ */
+function getYearsBetween(from, to) {
+  const rangeFrom = getDateRange(from);
+  const rangeTo = getDateRange(to);
+  if (!rangeFrom || !rangeTo) return null;
+
+  return {
+    min: rangeFrom.latest && rangeTo.earliest ? (toDays(rangeTo.earliest) - toDays(rangeFrom.latest)) / DAYS_PER_YEAR : null,
+    max: rangeFrom.earliest && rangeTo.latest ? (toDays(rangeTo.latest) - toDays(rangeFrom.earliest)) / DAYS_PER_YEAR : null
+  };
+}
+
+/**
+ * Check if a date is certainly before another, whatever day each one was
+ * @param {Object} a - The first date
+ * @param {Object} b - The second date
+ * @returns {boolean} - True if every day `a` could be is before every day `b` could be
+ * @private
+ */
+function isCertainlyBefore(a, b) {
+  const years = getYearsBetween(b, a);
+  return Boolean(years && years.max !== null && years.max < 0);
+}
+
+/**
+ * Parse an age as written in a document, e.g. "69 years", "6 months" or "1 year 3 months"
+ * A bare number is taken as years
+ * @param {string} text - The age
+ * @returns {Object|null} - The `min` and `max` age in years it could mean, or null if it isn't an age
+ */
+export function parseAge(text) {
+  if (typeof text === 'number') text = String(text);
+  if (typeof text !== 'string') return null;
+
+  const units = { y: 1, m: 1 / 12, w: 7 / DAYS_PER_YEAR, d: 1 / DAYS_PER_YEAR };
+  const parts = [...text.toLowerCase().matchAll(/(\d+(?:\.\d+)?)\s*(years?|yrs?|y|months?|mths?|mos?|m|weeks?|wks?|w|days?|d)?\b/g)];
+  if (parts.length === 0) return null;
+
+  let age = 0;
+  let smallestUnit = 1;
+  for (const [, value, unit] of parts) {
+    const size = units[(unit || 'y')[0]];
+    age += Number(value) * size;
+    smallestUnit = Math.min(smallestUnit, size);
+  }
+
+  // "69 years" means the person had turned 69 but not yet 70
+  return { min: age, max: age + smallestUnit };
+}
+
+/**
+ * Get a person's name for messages
+ * @param {Object} person - The person
+ * @returns {string} - The person's first and last name
+ * @private
+ */
+function getName(person) {
+  return `${person.first_name || ''} ${person.last_name || ''}`.trim();
+}
+
+/**
+ * Round a number of years for messages
+ * @param {number} years - The years
+ * @returns {number} - The years to one decimal place
+ * @private
+ */
+function roundYears(years) {
+  return Math.round(years * 10) / 10;
+}
+
+export const impossibleLifespanRule = {
+  id: 'impossible-lifespan',
+  description: 'Death before birth, or a lifespan longer than anyone lives',
+  defaults: { maxLifespanYears: 110 },
+  check({ persons }, options) {
+    const problems = [];
+
+    for (const person of persons) {
+      if (isCertainlyBefore(person.death_date, person.birth_date)) {
+        problems.push({
+          severity: SEVERITY.ERROR,
+          personId: person.id,
+          fields: ['birth_date', 'death_date'],
+          message: `died (${formatGenealogicalDate(person.death_date)}) before they were born (${formatGenealogicalDate(person.birth_date)})`
+        });
+        continue;
+      }
+
+      const lifespan = getYearsBetween(person.birth_date, person.death_date);
+      if (lifespan && lifespan.min !== null && lifespan.min > options.maxLifespanYears) {
+        problems.push({
+          severity: SEVERITY.WARNING,
+          personId: person.id,
+          fields: ['birth_date', 'death_date'],
+          message: `lived at least ${roundYears(lifespan.min)} years, more than ${options.maxLifespanYears}`
+        });
+      }
+    }
+
+    return problems;
+  }
+};
+
+export const ageAtDeathRule = {
+  id: 'age-at-death-mismatch',
+  description: 'An age at death that the birth and death dates contradict',
+  defaults: { ageToleranceYears: 1 },
+  check({ persons }, options) {
+    const problems = [];
+
+    for (const person of persons) {
+      const statedAge = parseAge(person.age_at_death);
+      const lifespan = getYearsBetween(person.birth_date, person.death_date);
+      // A death before birth is reported by impossible-lifespan
+      if (!statedAge || !lifespan || (lifespan.max !== null && lifespan.max < 0)) continue;
+
+      // Ages on headstones and in registers are often a year out, so allow some tolerance
+      const tooYoung = lifespan.max !== null && statedAge.min > lifespan.max + options.ageToleranceYears;
+      const tooOld = lifespan.min !== null && statedAge.max < lifespan.min - options.ageToleranceYears;
+      if (tooYoung || tooOld) {
+        let range;
+        if (lifespan.min === null || lifespan.max === null) {
+          range = `${tooYoung ? 'at most ' + roundYears(lifespan.max) : 'at least ' + roundYears(lifespan.min)} years`;
+        } else if (roundYears(Math.max(lifespan.min, 0)) === roundYears(lifespan.max)) {
+          range = `${roundYears(lifespan.max)} years`;
+        } else {
+          range = `${roundYears(Math.max(lifespan.min, 0))}-${roundYears(lifespan.max)} years`;
+        }
+        problems.push({
+          severity: SEVERITY.WARNING,
+          personId: person.id,
+          fields: ['age_at_death', 'birth_date', 'death_date'],
+          message: `age at death "${person.age_at_death}" doesn't match the dates, which give ${range}`
+        });
+      }
+    }
+
+    return problems;
+  }
+};
+
+export const parentAgeRule = {
+  id: 'parent-age',
+  description: 'A parent born after their child, too young or old to be a parent, or who died before the child was born',
+  defaults: { minParentAgeYears: 12, maxMotherAgeYears: 55, maxFatherAgeYears: 80 },
+  check({ persons, relationships }, options) {
+    const problems = [];
+    const personsById = new Map(persons.map(person => [person.id, person]));
+
+    for (const relationship of relationships) {
+      if (relationship.type !== 'parent_of') continue;
+
+      const parent = personsById.get(relationship.person_id);
+      const child = personsById.get(relationship.related_person_id);
+      if (!parent || !child) continue;
+
+      const about = `${getName(parent)} as parent of ${getName(child)}`;
+
+      if (isCertainlyBefore(child.birth_date, parent.birth_date)) {
+        problems.push({
+          severity: SEVERITY.ERROR,
+          personId: parent.id,
+          relatedPersonId: child.id,
+          fields: ['birth_date'],
+          message: `${about}: the parent was born (${formatGenealogicalDate(parent.birth_date)}) after the child (${formatGenealogicalDate(child.birth_date)})`
+        });
+        continue;
+      }
+
+      const ageAtBirth = getYearsBetween(parent.birth_date, child.birth_date);
+      const maxAge = parent.gender === 'Female' ? options.maxMotherAgeYears
+        : parent.gender === 'Male' ? options.maxFatherAgeYears
+          : Math.max(options.maxMotherAgeYears, options.maxFatherAgeYears);
+
+      if (ageAtBirth && ageAtBirth.max !== null && ageAtBirth.max >= 0 && ageAtBirth.max < options.minParentAgeYears) {
+        problems.push({
+          severity: SEVERITY.WARNING,
+          personId: parent.id,
+          relatedPersonId: child.id,
+          fields: ['birth_date'],
+          message: `${about}: the parent was at most ${roundYears(ageAtBirth.max)} when the child was born`
+        });
+      } else if (ageAtBirth && ageAtBirth.min !== null && ageAtBirth.min > maxAge) {
+        problems.push({
+          severity: SEVERITY.WARNING,
+          personId: parent.id,
+          relatedPersonId: child.id,
+          fields: ['birth_date'],
+          message: `${about}: the parent was at least ${roundYears(ageAtBirth.min)} when the child was born`
+        });
+      }
+
+      // A father can die before his child is born, but not more than about nine months before
+      const deathToBirth = getYearsBetween(parent.death_date, child.birth_date);
+      const allowedYears = parent.gender === 'Male' ? 1 : 0;
+      if (deathToBirth && deathToBirth.min !== null && deathToBirth.min > allowedYears) {
+        problems.push({
+          severity: SEVERITY.ERROR,
+          personId: parent.id,
+          relatedPersonId: child.id,
+          fields: ['death_date', 'birth_date'],
+          message: `${about}: the parent died (${formatGenealogicalDate(parent.death_date)}) before the child was born (${formatGenealogicalDate(child.birth_date)})`
+        });
+      }
+    }
+
+    return problems;
+  }
+};
+
+export const marriageBeforeBirthRule = {
+  id: 'marriage-before-birth',
+  description: 'A marriage before a spouse was born, while they were a child, or after they died',
+  defaults: { minMarriageAgeYears: 12 },
+  check({ persons, relationships }, options) {
+    const problems = [];
+    const personsById = new Map(persons.map(person => [person.id, person]));
+
+    // Marriages are recorded as spouse_of relationships and as marriage events on each spouse
+    const marriages = [];
+    for (const relationship of relationships) {
+      if (relationship.type !== 'spouse_of' || !relationship.marriage_date) continue;
+      for (const id of [relationship.person_id, relationship.related_person_id]) {
+        if (personsById.has(id)) marriages.push({ person: personsById.get(id), date: relationship.marriage_date, field: 'marriage_date' });
+      }
+    }
+    for (const person of persons) {
+      for (const event of person.events || []) {
+        if (event.type === 'marriage' && event.date) marriages.push({ person, date: event.date, field: 'events' });
+      }
+    }
+
+    const reported = new Set();
+    for (const { person, date, field } of marriages) {
+      const key = `${person.id}|${formatGenealogicalDate(date)}`;
+      if (reported.has(key)) continue;
+
+      const ageAtMarriage = getYearsBetween(person.birth_date, date);
+      let problem = null;
+
+      if (isCertainlyBefore(date, person.birth_date)) {
+        problem = { severity: SEVERITY.ERROR, message: `married (${formatGenealogicalDate(date)}) before they were born (${formatGenealogicalDate(person.birth_date)})` };
+      } else if (ageAtMarriage && ageAtMarriage.max !== null && ageAtMarriage.max < options.minMarriageAgeYears) {
+        problem = { severity: SEVERITY.WARNING, message: `married (${formatGenealogicalDate(date)}) aged at most ${roundYears(ageAtMarriage.max)}` };
+      } else if (isCertainlyBefore(person.death_date, date)) {
+        problem = { severity: SEVERITY.ERROR, message: `married (${formatGenealogicalDate(date)}) after they died (${formatGenealogicalDate(person.death_date)})` };
+      }
+
+      if (problem) {
+        reported.add(key);
+        problems.push({ ...problem, personId: person.id, fields: ['birth_date', field] });
+      }
+    }
+
+    return problems;
+  }
+};
+
+export const burialBeforeDeathRule = {
+  id: 'burial-before-death',
+  description: 'A burial before the person died or was born',
+  defaults: {},
+  check({ persons }) {
+    const problems = [];
+
+    for (const person of persons) {
+      for (const field of ['death_date', 'birth_date']) {
+        if (isCertainlyBefore(person.burial_date, person[field])) {
+          problems.push({
+            severity: SEVERITY.ERROR,
+            personId: person.id,
+            fields: ['burial_date', field],
+            message: `buried (${formatGenealogicalDate(person.burial_date)}) before they ${field === 'death_date' ? 'died' : 'were born'} (${formatGenealogicalDate(person[field])})`
+          });
+          break;
+        }
+      }
+    }
+
+    return problems;
+  }
+};
+
+export const BUILT_IN_RULES = [
+  impossibleLifespanRule,
+  ageAtDeathRule,
+  parentAgeRule,
+  marriageBeforeBirthRule,
+  burialBeforeDeathRule
+];
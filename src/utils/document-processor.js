@@ -1,9 +1,13 @@
-import mammoth from 'mammoth';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { extractPersonFromDocument } from './person/person-extractor.js';
+import { extractWithEnsemble } from './person/ensemble-extractor.js';
+import { normalizePersonPlaces } from './places/place-normalizer.js';
+import { applyReviewThreshold } from './person/field-confidence.js';
+import { checkConsistency } from './consistency/consistency-checker.js';
+import { extractorRegistry, getSupportedExtensions } from './extractors/index.js';
 import { llmFactory, registerAllProviders, getAvailableProviders } from './llm/index.js';
+import { UsageTracker } from './llm/usage-tracker.js';
 
 // Get the directory name using import.meta
 const __filename = fileURLToPath(import.meta.url);
@@ -40,39 +44,152 @@ async function initializeLLMProviders() {
 }
 
 /**
- * Process a Word document to extract person information
- * @param {string} filePath - Path to the Word document
+ * Process a document to extract person information
+ * The text extractor is chosen by file extension, or by magic bytes when the
+ * extension isn't recognised. Persons extracted from scanned images record the
+ * image they came from in `source_image`. Place names are matched to the gazetteer
+ * after extraction, and places that couldn't be matched are listed in `placeReview`.
+ * Persons with a field below the confidence threshold are marked `needs_review`, and
+ * those values are listed in `confidenceReview`. The extracted persons are then checked for genealogical consistency, and the
+ * report is returned in `consistency`. The tokens, latency and estimated cost of the LLM calls are totalled in `usage`.
+ * @param {string} filePath - Path to the document
  * @param {Object} options - Options for processing
+ * @param {Object} options.extractorOptions - Options to pass to the text extractor (e.g. OCR language)
+ * @param {Object} options.consistencyRules - Consistency rule configuration (see ConsistencyChecker.check)
+ * @param {number} options.maxRepairAttempts - How many times to ask the LLM to correct data that fails validation
+ * @param {number} options.confidenceThreshold - The lowest field confidence that doesn't need review (defaults to 0.7)
+ * @param {Object} options.ensemble - Extract with several providers and vote on the result: the `providers`,
+ * the `vote` method and provider `weights` (see extractWithEnsemble)
+ * @param {Object} options.promptVersions - The version of each prompt template to use, by template ID (defaults to the latest)
+ * @param {Object|boolean} options.fewShot - Include worked examples in the extraction prompt (see extractPersonFromDocument)
+ * @param {number} options.budget - The most to spend on LLM calls for the document, in US dollars
+ * @param {Object} options.pricing - Model prices to use as well as the pricing table (see MODEL_PRICING)
+ * @param {UsageTracker} options.usageTracker - A tracker to record the document's calls in too, e.g. for a batch
  * @returns {Promise<Object>} - Result of processing
  */
-export async function processWordDocument(filePath, options = {}) {
+export async function processDocument(filePath, options = {}) {
+  const usageTracker = new UsageTracker({
+    budget: options.budget,
+    pricing: options.pricing,
+    parent: options.usageTracker
+  });
+  
   try {
     // Initialize LLM providers if not already done
     if (!providersInitialized) {
       await initializeLLMProviders();
     }
     
-    // 1. Extract text from Word document
-    console.log(`Processing document: ${filePath}`);
-    const { value: docText } = await mammoth.extractRawText({ path: filePath });
+    // 1. Pick a text extractor for the file
+    const extractorName = extractorRegistry.findExtractor(filePath);
+    if (!extractorName) {
+      return {
+        success: false,
+        unsupported: true,
+        error: `Unsupported file type: ${path.basename(filePath)}. Supported types are ${getSupportedExtensions().join(', ')}`
+      };
+    }
+    
+    const extractorClass = extractorRegistry.getExtractorClass(extractorName);
+    const extractor = extractorRegistry.create(extractorName, options.extractorOptions);
+    
+    // 2. Extract the text from the document
+    console.log(`Processing document: ${filePath} (${extractorClass.getExtractorName()})`);
+    const { text: docText, format = 'text', metadata = {} } = await extractor.extractText(filePath);
+    
+    if (!docText || !docText.trim()) {
+      return {
+        success: false,
+        error: `No text could be extracted from document: ${filePath}`
+      };
+    }
     
-    // 2. Use the person extractor to process the document text
-    const extractionResult = await extractPersonFromDocument(docText, {
+    // 3. Use the person extractor to process the document text, with several providers voting in ensemble mode
+    const extractionOptions = {
       llm: options.llm,
-      llmOptions: options.llmOptions || {},
-      provider: options.provider // Pass the provider name
-    });
+      llmOptions: { ...options.llmOptions, usageTracker },
+      provider: options.provider, // Pass the provider name
+      maxRepairAttempts: options.maxRepairAttempts,
+      promptVersions: options.promptVersions,
+      fewShot: options.fewShot
+    };
+    const extractionResult = options.ensemble
+      ? await extractWithEnsemble(docText, { ...extractionOptions, ...options.ensemble })
+      : await extractPersonFromDocument(docText, extractionOptions);
+    
+    // 4. Record which image each person came from
+    if (extractorClass.isImageExtractor() && Array.isArray(extractionResult.data)) {
+      extractionResult.data = extractionResult.data.map(person => ({
+        ...person,
+        source_image: filePath
+      }));
+    }
     
-    return extractionResult;
+    // 5. Match the extracted place names to canonical gazetteer places
+    let placeReview = [];
+    if (Array.isArray(extractionResult.data)) {
+      ({ persons: extractionResult.data, review: placeReview } = normalizePersonPlaces(extractionResult.data));
+      if (placeReview.length > 0) {
+        console.warn(`Found ${placeReview.length} place(s) that couldn't be matched to the gazetteer`);
+      }
+    }
+    
+    // 6. Mark persons with values the model wasn't sure of for manual review
+    let confidenceReview = [];
+    if (Array.isArray(extractionResult.data)) {
+      ({ persons: extractionResult.data, review: confidenceReview } = applyReviewThreshold(extractionResult.data, {
+        threshold: options.confidenceThreshold
+      }));
+      if (confidenceReview.length > 0) {
+        console.warn(`Found ${confidenceReview.length} value(s) below the confidence threshold`);
+      }
+    }
+    
+    // 7. Check the extracted persons for dates and ages that can't all be right
+    let consistency = null;
+    if (Array.isArray(extractionResult.data)) {
+      consistency = checkConsistency({
+        persons: extractionResult.data,
+        relationships: extractionResult.relationships || []
+      }, options.consistencyRules);
+      if (consistency.warnings.length > 0) {
+        console.warn(`Found ${consistency.warnings.length} consistency warning(s) in the extracted data`);
+      }
+    }
+    
+    return {
+      ...extractionResult,
+      placeReview,
+      confidenceReview,
+      consistency,
+      extractor: extractorName,
+      extractorMetadata: metadata,
+      // The exact text the model saw, so it can be saved for reviewers
+      documentText: docText,
+      documentFormat: format,
+      usage: usageTracker.getSummary()
+    };
   } catch (error) {
     console.error("Error processing document:", error);
     return { 
       success: false, 
-      error: `Error processing document: ${error.message}`
+      error: `Error processing document: ${error.message}`,
+      usage: usageTracker.getSummary()
     };
   }
 }
 
+/**
+ * Process a Word document to extract person information
+ * Kept for existing callers, new code should use processDocument which handles every supported file type
+ * @param {string} filePath - Path to the Word document
+ * @param {Object} options - Options for processing
+ * @returns {Promise<Object>} - Result of processing
+ */
+export async function processWordDocument(filePath, options = {}) {
+  return processDocument(filePath, options);
+}
+
 /**
  * Get a sample document from the test directory
  * @returns {string} - Path to a sample document
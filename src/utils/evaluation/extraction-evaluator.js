@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promptRegistry } from '../../prompts/index.js';
+import { extractPersonFromDocument } from '../person/person-extractor.js';
+import { hasValue, normalizeValue } from '../person/person-merger.js';
+import { namesMatch, normalizeName } from '../person/person-names.js';
+import { normalizePlaceName } from '../places/gazetteer.js';
+import { extractorRegistry } from '../extractors/index.js';
+import { CachedLLM, ResponseCache, CACHE_MODES } from '../llm/cached-llm.js';
+
+/**
+ * Measures extraction accuracy against hand-annotated gold files
+ * Each evaluation case is a directory holding a document, a `gold.json` file with
+ * the persons and relationships a careful reader would extract from it, and a
+ * `recordings` directory with the LLM responses recorded for each provider and
+ * prompt version. Each recording is a response cache (see cached-llm.js), and the
+ * extractor is run over it in replay mode, so the evaluation needs no network access.
+ * The predicted persons are matched to the gold persons to work out precision,
+ * recall and per-field accuracy.
+ */
+
+// Get the directory name using import.meta
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CASES_DIR = path.join(__dirname, '..', '..', '..', 'evaluation', 'cases');
+
+// File in each recording directory describing the recording, next to the cached responses
+const RECORDING_FILENAME = 'recording.json';
+
+// Fields compared between matched predicted and gold persons
+export const EVALUATED_FIELDS = [
+  'first_name',
+  'middle_names',
+  'last_name',
+  'birth_surname',
+  'gender',
+  'birth_date',
+  'birth_place',
+  'death_date',
+  'death_place',
+  'age_at_death',
+  'burial_date',
+  'burial_place'
+];
+
+const NAME_FIELDS = ['first_name', 'middle_names', 'last_name', 'birth_surname'];
+const PLACE_FIELDS = ['birth_place', 'death_place', 'burial_place'];
+
+// The prompt template recordings are made with
+const EXTRACTION_PROMPT_ID = 'person-extraction';
+
+/**
+ * Get the version of the current extraction prompt for a provider, e.g. person-extraction@2.openai
+ * The registry ID and version of the latest template, and the variant the provider is given.
+ * Recordings are stored by prompt version so results from different prompts can be compared
+ * @param {string} provider - The provider name
+ * @returns {string} - The prompt version
+ */
+export function getPromptVersion(provider) {
+  const template = promptRegistry.get(EXTRACTION_PROMPT_ID, { provider });
+  return `${template.id}@${template.version}.${template.variant}`;
+}
+
+/**
+ * Get the directory of the recording for a case, provider and prompt version
+ * @param {string} caseDir - The case directory
+ * @param {string} provider - The provider name
+ * @param {string} promptVersion - The prompt version
+ * @returns {string} - Path to the recording directory
+ */
+export function getRecordingDir(caseDir, provider, promptVersion) {
+  return path.join(caseDir, 'recordings', `${provider}.${promptVersion}`);
+}
+
+/**
+ * Load the evaluation cases in a directory
+ * @param {string} casesDir - The directory holding one subdirectory per case
+ * @returns {Array<Object>} - The cases, each with its `name`, `dir`, `documentPath`, `gold` data and `recordings`,
+ * each with the `dir` of its cached responses and the `provider`, `model` and `promptVersion` it was made with
+ */
+export function loadCases(casesDir = DEFAULT_CASES_DIR) {
+  return fs.readdirSync(casesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .map(name => {
+      const dir = path.join(casesDir, name);
+      const documentName = fs.readdirSync(dir).find(file => file.startsWith('document.'));
+      const recordingsDir = path.join(dir, 'recordings');
+
+      const recordings = fs.existsSync(recordingsDir)
+        ? fs.readdirSync(recordingsDir, { withFileTypes: true })
+          .filter(recording => recording.isDirectory() && fs.existsSync(path.join(recordingsDir, recording.name, RECORDING_FILENAME)))
+          .map(recording => recording.name)
+          .sort()
+          .map(recording => ({
+            dir: path.join(recordingsDir, recording),
+            ...JSON.parse(fs.readFileSync(path.join(recordingsDir, recording, RECORDING_FILENAME), 'utf8'))
+          }))
+        : [];
+
+      return {
+        name,
+        dir,
+        documentPath: documentName ? path.join(dir, documentName) : null,
+        gold: JSON.parse(fs.readFileSync(path.join(dir, 'gold.json'), 'utf8')),
+        recordings
+      };
+    });
+}
+
+/**
+ * Extract the text of a case's document
+ * @param {Object} evaluationCase - The case
+ * @returns {Promise<string>} - The document text
+ */
+export async function getCaseText(evaluationCase) {
+  if (!evaluationCase.documentPath) {
+    throw new Error(`No document.* file in ${evaluationCase.dir}`);
+  }
+
+  const extractorName = extractorRegistry.findExtractor(evaluationCase.documentPath);
+  if (!extractorName) {
+    throw new Error(`Unsupported file type: ${evaluationCase.documentPath}`);
+  }
+
+  const { text } = await extractorRegistry.create(extractorName).extractText(evaluationCase.documentPath);
+  return text;
+}
+
+/**
+ * Run the extractor over a case with a real provider and save the LLM responses
+ * The responses are cached in the recording directory for the provider name and
+ * current prompt version, replacing any earlier recording for the same pair
+ * @param {Object} evaluationCase - The case
+ * @param {Object} llm - The LLM instance to record
+ * @param {string} provider - The provider name
+ * @returns {Promise<Object>} - The `recordingDir`, the number of `calls` recorded and the extraction `result`
+ */
+export async function recordCase(evaluationCase, llm, provider) {
+  const text = await getCaseText(evaluationCase);
+  const promptVersion = getPromptVersion(provider);
+  const recordingDir = getRecordingDir(evaluationCase.dir, provider, promptVersion);
+  fs.rmSync(recordingDir, { recursive: true, force: true });
+
+  const cache = new ResponseCache({ dir: recordingDir, mode: CACHE_MODES.RECORD });
+  const recorder = new CachedLLM(llm, { cache, provider });
+  const result = await extractPersonFromDocument(text, { llm: recorder, provider });
+
+  fs.mkdirSync(recordingDir, { recursive: true });
+  fs.writeFileSync(path.join(recordingDir, RECORDING_FILENAME), JSON.stringify({
+    provider,
+    model: recorder.model,
+    promptVersion,
+    recordedAt: new Date().toISOString()
+  }, null, 2));
+
+  return { recordingDir, calls: cache.stats.recorded, result };
+}
+
+/**
+ * Normalize a field value for comparison with the gold value
+ * @param {string} field - The field name
+ * @param {any} value - The value
+ * @returns {string} - The normalized value
+ * @private
+ */
+function normalizeFieldValue(field, value) {
+  if (!hasValue(value)) return '';
+  if (NAME_FIELDS.includes(field)) return normalizeName(value);
+  if (PLACE_FIELDS.includes(field)) return normalizePlaceName(value);
+  return normalizeValue(value);
+}
+
+/**
+ * Match predicted persons to gold persons
+ * Persons are only matched when they share a name, and each pair is scored by the
+ * number of fields they agree on. Pairs are then taken best first, one predicted
+ * person per gold person.
+ * @param {Array<Object>} predicted - The extracted persons
+ * @param {Array<Object>} gold - The gold persons
+ * @returns {Array<Object>} - The matches, each with the `predictedIndex` and `goldIndex`
+ */
+export function matchPersons(predicted, gold) {
+  const pairs = [];
+
+  predicted.forEach((predictedPerson, predictedIndex) => {
+    gold.forEach((goldPerson, goldIndex) => {
+      if (!namesMatch(predictedPerson, goldPerson)) return;
+
+      const score = EVALUATED_FIELDS.filter(field =>
+        hasValue(goldPerson[field]) &&
+        normalizeFieldValue(field, predictedPerson[field]) === normalizeFieldValue(field, goldPerson[field])
+      ).length;
+      pairs.push({ predictedIndex, goldIndex, score });
+    });
+  });
+
+  pairs.sort((a, b) => b.score - a.score || a.goldIndex - b.goldIndex || a.predictedIndex - b.predictedIndex);
+
+  const matches = [];
+  const usedPredicted = new Set();
+  const usedGold = new Set();
+  for (const pair of pairs) {
+    if (usedPredicted.has(pair.predictedIndex) || usedGold.has(pair.goldIndex)) continue;
+    usedPredicted.add(pair.predictedIndex);
+    usedGold.add(pair.goldIndex);
+    matches.push({ predictedIndex: pair.predictedIndex, goldIndex: pair.goldIndex });
+  }
+
+  return matches;
+}
+
+/**
+ * Get the key of a relationship, the same whichever way round a symmetric relationship is given
+ * @param {string} type - The relationship type
+ * @param {string} personId - The first person
+ * @param {string} relatedPersonId - The second person
+ * @returns {string} - The key
+ * @private
+ */
+function getRelationshipKey(type, personId, relatedPersonId) {
+  const ids = [personId, relatedPersonId];
+  return `${type}|${type === 'parent_of' ? ids.join('|') : ids.sort().join('|')}`;
+}
+
+/**
+ * Score an extraction against the gold annotations for one case
+ * @param {Object} extracted - The extracted `persons` and `relationships`
+ * @param {Object} gold - The gold `persons` and `relationships`
+ * @returns {Object} - Counts of matched, predicted and gold `persons` and `relationships`,
+ * per-field counts in `fields`, and the unmatched persons in `missed` and `spurious`
+ */
+export function scoreExtraction(extracted, gold) {
+  const predictedPersons = extracted.persons || [];
+  const goldPersons = gold.persons || [];
+  const matches = matchPersons(predictedPersons, goldPersons);
+
+  const fields = {};
+  for (const field of EVALUATED_FIELDS) {
+    fields[field] = { correct: 0, total: 0 };
+  }
+
+  for (const { predictedIndex, goldIndex } of matches) {
+    for (const field of EVALUATED_FIELDS) {
+      const predictedValue = normalizeFieldValue(field, predictedPersons[predictedIndex][field]);
+      const goldValue = normalizeFieldValue(field, goldPersons[goldIndex][field]);
+
+      // A field counts when either side has a value, so both missed and made up values are wrong
+      if (!predictedValue && !goldValue) continue;
+      fields[field].total++;
+      if (predictedValue === goldValue) fields[field].correct++;
+    }
+  }
+
+  // Relationships are compared through the person matches, as IDs differ between the two
+  const goldIdByPredictedId = new Map(matches.map(({ predictedIndex, goldIndex }) =>
+    [predictedPersons[predictedIndex].id, goldPersons[goldIndex].id]
+  ));
+  const goldRelationships = new Set((gold.relationships || []).map(relationship =>
+    getRelationshipKey(relationship.type, relationship.person_id, relationship.related_person_id)
+  ));
+  const predictedRelationships = new Set((extracted.relationships || []).map(relationship =>
+    getRelationshipKey(
+      relationship.type,
+      goldIdByPredictedId.get(relationship.person_id) || `predicted:${relationship.person_id}`,
+      goldIdByPredictedId.get(relationship.related_person_id) || `predicted:${relationship.related_person_id}`
+    )
+  ));
+  const matchedRelationships = [...predictedRelationships].filter(key => goldRelationships.has(key)).length;
+
+  const describe = person => `${person.first_name || ''} ${person.last_name || ''}`.trim();
+  return {
+    persons: { matched: matches.length, predicted: predictedPersons.length, gold: goldPersons.length },
+    relationships: { matched: matchedRelationships, predicted: predictedRelationships.size, gold: goldRelationships.size },
+    fields,
+    missed: goldPersons.filter((person, index) => !matches.some(match => match.goldIndex === index)).map(describe),
+    spurious: predictedPersons.filter((person, index) => !matches.some(match => match.predictedIndex === index)).map(describe)
+  };
+}
+
+/**
+ * Work out precision, recall and F1 from match counts
+ * @param {Object} counts - The `matched`, `predicted` and `gold` counts
+ * @returns {Object} - The counts with `precision`, `recall` and `f1` (null when undefined)
+ * @private
+ */
+function withRates(counts) {
+  const precision = counts.predicted > 0 ? counts.matched / counts.predicted : null;
+  const recall = counts.gold > 0 ? counts.matched / counts.gold : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null || recall === null ? null : 0);
+  return { ...counts, precision, recall, f1 };
+}
+
+/**
+ * Add up the scores of several cases
+ * @param {Array<Object>} scores - The scores returned by scoreExtraction
+ * @returns {Object} - The totals with precision, recall and F1 for persons and relationships, and the accuracy of each field
+ */
+export function summarizeScores(scores) {
+  const total = key => ({
+    matched: scores.reduce((sum, score) => sum + score[key].matched, 0),
+    predicted: scores.reduce((sum, score) => sum + score[key].predicted, 0),
+    gold: scores.reduce((sum, score) => sum + score[key].gold, 0)
+  });
+
+  const fields = {};
+  for (const field of EVALUATED_FIELDS) {
+    const correct = scores.reduce((sum, score) => sum + score.fields[field].correct, 0);
+    const count = scores.reduce((sum, score) => sum + score.fields[field].total, 0);
+    fields[field] = { correct, total: count, accuracy: count > 0 ? correct / count : null };
+  }
+
+  return {
+    persons: withRates(total('persons')),
+    relationships: withRates(total('relationships')),
+    fields
+  };
+}
+
+/**
+ * Run the extractor over every recording of every case and score the results
+ * @param {Object} options - Evaluation options
+ * @param {string} options.casesDir - The directory of cases (defaults to evaluation/cases)
+ * @param {Array<string>} options.providers - Only evaluate recordings from these providers
+ * @returns {Promise<Object>} - The report: a `summary` for each provider and prompt version (`runs`), the `cases` evaluated
+ * and the `currentPromptVersions` of the providers evaluated
+ */
+export async function runEvaluation(options = {}) {
+  const cases = loadCases(options.casesDir);
+  const runs = new Map();
+  const caseResults = [];
+
+  for (const evaluationCase of cases) {
+    const text = await getCaseText(evaluationCase);
+
+    for (const recording of evaluationCase.recordings) {
+      if (options.providers && !options.providers.includes(recording.provider)) continue;
+
+      const runKey = `${recording.provider}|${recording.promptVersion}`;
+      if (!runs.has(runKey)) {
+        runs.set(runKey, { provider: recording.provider, promptVersion: recording.promptVersion, scores: [], errors: [] });
+      }
+      const run = runs.get(runKey);
+
+      // Calls are answered from the recording only, so a prompt or schema that has
+      // changed since it was made fails with a cache miss instead of calling the provider
+      const cache = new ResponseCache({ dir: recording.dir, mode: CACHE_MODES.REPLAY });
+      const result = await extractPersonFromDocument(text, {
+        llm: new CachedLLM(null, { cache, provider: recording.provider, model: recording.model }),
+        provider: recording.provider
+      });
+
+      if (!result.data) {
+        run.errors.push({ case: evaluationCase.name, error: result.error });
+        caseResults.push({ case: evaluationCase.name, provider: recording.provider, promptVersion: recording.promptVersion, error: result.error });
+        continue;
+      }
+
+      const score = scoreExtraction({ persons: result.data, relationships: result.relationships }, evaluationCase.gold);
+      run.scores.push(score);
+      caseResults.push({ case: evaluationCase.name, provider: recording.provider, promptVersion: recording.promptVersion, valid: result.success, ...score });
+    }
+  }
+
+  const evaluatedProviders = [...new Set(Array.from(runs.values()).map(run => run.provider))];
+  return {
+    currentPromptVersions: Object.fromEntries(evaluatedProviders.map(provider => [provider, getPromptVersion(provider)])),
+    runs: Array.from(runs.values()).map(run => ({
+      provider: run.provider,
+      promptVersion: run.promptVersion,
+      caseCount: run.scores.length,
+      errors: run.errors,
+      ...summarizeScores(run.scores)
+    })),
+    cases: caseResults
+  };
+}
@@ -0,0 +1,43 @@
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { startsWithBytes, containsText, OLE2_SIGNATURE } from './magic-bytes.js';
+
+/**
+ * Legacy Word (.doc) implementation of the text extractor interface
+ * Requires the 'word-extractor' package to be installed
+ */
+export class DocExtractor extends TextExtractorInterface {
+  /**
+   * Extract the body text of a Word 97-2003 document
+   * @param {string} filePath - Path to the document
+   * @returns {Promise<Object>} - The extracted text
+   */
+  async extractText(filePath) {
+    let WordExtractor;
+    try {
+      // Dynamic import of word-extractor to avoid requiring it as a direct dependency
+      ({ default: WordExtractor } = await import('word-extractor'));
+    } catch (error) {
+      console.error('Failed to load word-extractor:', error.message);
+      console.log('Make sure you have installed the word-extractor package:');
+      console.log('  npm install word-extractor');
+
+      throw new Error('DOC extractor initialization failed. See error above.');
+    }
+
+    const document = await new WordExtractor().extract(filePath);
+    return { text: document.getBody() };
+  }
+
+  static getExtensions() {
+    return ['.doc'];
+  }
+
+  static matchesMagicBytes(header) {
+    // Thumbs.db and other OLE2 files share the signature, so also look for the Word stream
+    return startsWithBytes(header, OLE2_SIGNATURE) && containsText(header, 'WordDocument', 'utf16le');
+  }
+
+  static getExtractorName() {
+    return "Word 97-2003 Document";
+  }
+}
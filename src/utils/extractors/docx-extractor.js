@@ -0,0 +1,65 @@
+import mammoth from 'mammoth';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { startsWithBytes, containsText, ZIP_SIGNATURE } from './magic-bytes.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+
+// Map the custom paragraph styles used by the family history document template
+// so that people's names become headings nested by generation
+const FAMILY_DOCUMENT_STYLE_MAP = [
+  "p[style-name='Heading Name'] => h2:fresh",
+  "p[style-name='Heading Name Level 1'] => h3:fresh",
+  "p[style-name='Heading Name Level 1 Partner'] => h3:fresh",
+  "p[style-name='Heading Name Level 2'] => h4:fresh",
+  "p[style-name='Heading Name Level 2 Partner'] => h4:fresh",
+  "p[style-name='Heading Name Level 3'] => h5:fresh",
+  "p[style-name='Heading Name Level 3 Partner'] => h5:fresh",
+  "p[style-name='Person Details'] => p:fresh",
+  "p[style-name='Person Details Level 1'] => p:fresh",
+  "p[style-name='Person Details Level 2'] => p:fresh",
+  "p[style-name='Person Details Level 3'] => p:fresh",
+  "p[style-name='Family Tree'] => p:fresh",
+  "p[style-name='Picture Centred'] => p:fresh",
+  "p[style-name='Picture Descriptions Centered'] => p:fresh"
+];
+
+/**
+ * Word (.docx) implementation of the text extractor interface
+ * The document is converted to Markdown so headings, lists and tables
+ * (children, census rows, headstone transcriptions) keep their structure
+ */
+export class DocxExtractor extends TextExtractorInterface {
+  /**
+   * Convert a Word document to Markdown
+   * @param {string} filePath - Path to the document
+   * @returns {Promise<Object>} - The Markdown text
+   */
+  async extractText(filePath) {
+    const { value: html, messages } = await mammoth.convertToHtml({ path: filePath }, {
+      styleMap: FAMILY_DOCUMENT_STYLE_MAP,
+      // Embedded photos would otherwise be inlined as base64 data
+      convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+
+    const warnings = messages.filter(message => message.type === 'warning');
+    if (warnings.length > 0) {
+      console.warn(`Word conversion produced ${warnings.length} warning(s), e.g. ${warnings[0].message}`);
+    }
+
+    return {
+      text: await htmlToMarkdown(html),
+      format: 'markdown'
+    };
+  }
+
+  static getExtensions() {
+    return ['.docx'];
+  }
+
+  static matchesMagicBytes(header) {
+    return startsWithBytes(header, ZIP_SIGNATURE) && containsText(header, 'word/');
+  }
+
+  static getExtractorName() {
+    return "Word Document";
+  }
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { Buffer } from 'buffer';
+
+// Number of bytes read from the start of a file to detect its type
+const MAGIC_BYTES_LENGTH = 64 * 1024;
+
+/**
+ * Registry of text extractors keyed by file type
+ * This makes it easy to add support for new document formats
+ */
+export class ExtractorRegistry {
+  constructor() {
+    this.extractors = {};
+    this.extractorClasses = {};
+  }
+
+  /**
+   * Register a new text extractor
+   * @param {string} name - The name of the extractor
+   * @param {Class} extractorClass - The extractor class for static methods
+   * @param {Function} factory - A factory function that creates an extractor instance
+   */
+  registerExtractor(name, extractorClass, factory) {
+    this.extractors[name] = factory;
+    this.extractorClasses[name] = extractorClass;
+  }
+
+  /**
+   * Find the extractor registered for a file extension
+   * @param {string} filePath - Path to the file
+   * @returns {string|null} - The name of the extractor, or null if the extension isn't registered
+   */
+  findByExtension(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (!extension) return null;
+
+    return Object.keys(this.extractorClasses).find(name =>
+      this.extractorClasses[name].getExtensions().includes(extension)
+    ) || null;
+  }
+
+  /**
+   * Find the extractor whose magic bytes match the start of a file
+   * @param {string} filePath - Path to the file
+   * @returns {string|null} - The name of the extractor, or null if no extractor recognises the file
+   */
+  findByMagicBytes(filePath) {
+    const header = readHeader(filePath);
+    if (!header) return null;
+
+    return Object.keys(this.extractorClasses).find(name =>
+      this.extractorClasses[name].matchesMagicBytes(header)
+    ) || null;
+  }
+
+  /**
+   * Find the extractor for a file, by extension first and then by magic bytes
+   * @param {string} filePath - Path to the file
+   * @returns {string|null} - The name of the extractor, or null if the file type is unsupported
+   */
+  findExtractor(filePath) {
+    return this.findByExtension(filePath) || this.findByMagicBytes(filePath);
+  }
+
+  /**
+   * Check if a file can be handled by one of the registered extractors
+   * @param {string} filePath - Path to the file
+   * @returns {boolean} - True if the file type is supported
+   */
+  isSupported(filePath) {
+    return this.findExtractor(filePath) !== null;
+  }
+
+  /**
+   * Get the class of a registered extractor
+   * @param {string} name - The name of the extractor
+   * @returns {Class} - The extractor class
+   */
+  getExtractorClass(name) {
+    const extractorClass = this.extractorClasses[name];
+    if (!extractorClass) {
+      throw new Error(`Extractor '${name}' is not registered`);
+    }
+
+    return extractorClass;
+  }
+
+  /**
+   * Create an extractor instance
+   * @param {string} name - The name of the extractor to create
+   * @param {Object} options - Options to pass to the extractor factory
+   * @returns {Object} - An extractor instance
+   */
+  create(name, options = {}) {
+    if (!this.extractors[name]) {
+      throw new Error(`Extractor '${name}' is not registered`);
+    }
+
+    return this.extractors[name](options);
+  }
+
+  /**
+   * Get a list of all registered extractors
+   * @returns {Array<string>} - Array of extractor names
+   */
+  getExtractors() {
+    return Object.keys(this.extractors);
+  }
+
+  /**
+   * Get every file extension handled by the registered extractors
+   * @returns {Array<string>} - Array of extensions including the leading dot
+   */
+  getSupportedExtensions() {
+    return Object.values(this.extractorClasses).flatMap(extractorClass => extractorClass.getExtensions());
+  }
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Buffer|null} - The header bytes, or null if the file can't be read
+ * @private
+ */
+function readHeader(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(MAGIC_BYTES_LENGTH);
+    const bytesRead = fs.readSync(fd, buffer, 0, MAGIC_BYTES_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Create and export a singleton instance
+export const extractorRegistry = new ExtractorRegistry();
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+
+/**
+ * HTML implementation of the text extractor interface
+ * Pages are converted to Markdown so headings, lists and tables keep their structure
+ */
+export class HtmlExtractor extends TextExtractorInterface {
+  /**
+   * Convert an HTML page to Markdown
+   * @param {string} filePath - Path to the HTML file
+   * @returns {Promise<Object>} - The Markdown text
+   */
+  async extractText(filePath) {
+    const html = fs.readFileSync(filePath, 'utf8');
+    return {
+      text: await htmlToMarkdown(html),
+      format: 'markdown'
+    };
+  }
+
+  static getExtensions() {
+    return ['.html', '.htm'];
+  }
+
+  static matchesMagicBytes(header) {
+    const start = header.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    return start.startsWith('<!doctype html') || start.startsWith('<html');
+  }
+
+  static getExtractorName() {
+    return "HTML";
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Converts HTML (from web pages or from mammoth's .docx conversion) to Markdown
+ * Headings, lists and tables are kept so the LLM can see the structure of the
+ * document, such as which column of a census table a value came from
+ * Requires the 'turndown' package to be installed
+ */
+
+/**
+ * Escape a table cell's content for a Markdown table
+ * @param {string} content - The converted Markdown content of the cell
+ * @returns {string} - Content safe to put on a single table row
+ * @private
+ */
+function formatCell(content) {
+  return content
+    .trim()
+    .replace(/\|/g, '\\|')
+    .replace(/ *\n+ */g, '<br>');
+}
+
+/**
+ * Add a rule that converts every table to a Markdown table
+ * Word tables rarely mark a header row, so the first row is always used as the header
+ * @param {Object} turndownService - The Turndown instance
+ * @private
+ */
+function addTableRule(turndownService) {
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement(content, node) {
+      const rows = Array.from(node.querySelectorAll('tr'))
+        // Skip rows of nested tables, they are flattened into their parent cell
+        .filter(row => row.closest('table') === node)
+        .map(row => Array.from(row.children)
+          .filter(cell => ['TD', 'TH'].includes(cell.nodeName))
+          .map(cell => formatCell(turndownService.turndown(cell.innerHTML))));
+
+      if (rows.length === 0) return '';
+
+      const columnCount = Math.max(...rows.map(row => row.length));
+      const toLine = row => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+      const separator = `| ${Array(columnCount).fill('---').join(' | ')} |`;
+
+      return `\n\n${[toLine(rows[0]), separator, ...rows.slice(1).map(toLine)].join('\n')}\n\n`;
+    }
+  });
+}
+
+/**
+ * Convert HTML to Markdown
+ * @param {string} html - The HTML to convert
+ * @returns {Promise<string>} - The Markdown text
+ */
+export async function htmlToMarkdown(html) {
+  let TurndownService;
+  try {
+    // Dynamic import of Turndown to avoid requiring it as a direct dependency
+    ({ default: TurndownService } = await import('turndown'));
+  } catch (error) {
+    console.error('Failed to load turndown:', error.message);
+    console.log('Make sure you have installed the turndown package:');
+    console.log('  npm install turndown');
+
+    throw new Error('Markdown conversion initialization failed. See error above.');
+  }
+
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced'
+  });
+
+  // Images, scripts and styles carry no text for the extractor
+  turndownService.remove(['img', 'script', 'style', 'head']);
+  addTableRule(turndownService);
+
+  return turndownService.turndown(html).trim();
+}
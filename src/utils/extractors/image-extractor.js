@@ -0,0 +1,54 @@
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { startsWithBytes, JPEG_SIGNATURE, PNG_SIGNATURE, GIF_SIGNATURE } from './magic-bytes.js';
+import { extractTextFromImage, SUPPORTED_IMAGE_EXTENSIONS } from '../ocr/image-ocr.js';
+
+/**
+ * Scanned image implementation of the text extractor interface
+ * The text is recognised with OCR
+ */
+export class ImageExtractor extends TextExtractorInterface {
+  /**
+   * @param {Object} options - Options for OCR
+   * @param {string} options.language - Tesseract language code(s), e.g. 'eng'
+   * @param {string} options.langPath - Directory or URL containing the language data
+   */
+  constructor(options = {}) {
+    super();
+    this.ocrOptions = {
+      language: options.language,
+      langPath: options.langPath
+    };
+  }
+
+  /**
+   * Run OCR over a scanned image
+   * @param {string} filePath - Path to the image
+   * @returns {Promise<Object>} - The recognised text and OCR confidence
+   */
+  async extractText(filePath) {
+    console.log(`Running OCR on image: ${filePath}`);
+    const { text, confidence } = await extractTextFromImage(filePath, this.ocrOptions);
+    console.log(`OCR complete (mean confidence ${Math.round(confidence)}%)`);
+
+    return {
+      text,
+      metadata: { ocrConfidence: confidence }
+    };
+  }
+
+  static getExtensions() {
+    return SUPPORTED_IMAGE_EXTENSIONS;
+  }
+
+  static matchesMagicBytes(header) {
+    return [JPEG_SIGNATURE, PNG_SIGNATURE, GIF_SIGNATURE].some(signature => startsWithBytes(header, signature));
+  }
+
+  static isImageExtractor() {
+    return true;
+  }
+
+  static getExtractorName() {
+    return "Scanned Image (OCR)";
+  }
+}
@@ -0,0 +1,33 @@
+import { extractorRegistry } from './extractor-registry.js';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { DocxExtractor } from './docx-extractor.js';
+import { DocExtractor } from './doc-extractor.js';
+import { OdtExtractor } from './odt-extractor.js';
+import { PdfExtractor } from './pdf-extractor.js';
+import { HtmlExtractor } from './html-extractor.js';
+import { TextFileExtractor } from './text-file-extractor.js';
+import { ImageExtractor } from './image-extractor.js';
+
+// Register the built-in extractors
+// Each extractor only loads its parsing package when it is first used
+extractorRegistry.registerExtractor('docx', DocxExtractor, options => new DocxExtractor(options));
+extractorRegistry.registerExtractor('doc', DocExtractor, options => new DocExtractor(options));
+extractorRegistry.registerExtractor('odt', OdtExtractor, options => new OdtExtractor(options));
+extractorRegistry.registerExtractor('pdf', PdfExtractor, options => new PdfExtractor(options));
+extractorRegistry.registerExtractor('html', HtmlExtractor, options => new HtmlExtractor(options));
+extractorRegistry.registerExtractor('txt', TextFileExtractor, options => new TextFileExtractor(options));
+extractorRegistry.registerExtractor('image', ImageExtractor, options => new ImageExtractor(options));
+
+// Export all the extractor components
+export {
+  extractorRegistry,
+  TextExtractorInterface
+};
+
+/**
+ * Get every file extension that can be processed
+ * @returns {Array<string>} - Array of extensions including the leading dot
+ */
+export const getSupportedExtensions = () => {
+  return extractorRegistry.getSupportedExtensions();
+};
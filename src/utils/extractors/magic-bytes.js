@@ -0,0 +1,39 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Helpers for identifying file types from the first bytes of a file
+ */
+
+// ZIP container (.docx, .odt)
+export const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// OLE2 compound file (.doc, but also Thumbs.db and other legacy Office files)
+export const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+export const PDF_SIGNATURE = [0x25, 0x50, 0x44, 0x46]; // %PDF
+export const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+export const GIF_SIGNATURE = [0x47, 0x49, 0x46, 0x38]; // GIF8
+
+/**
+ * Check if a file header starts with a byte signature
+ * @param {Buffer} header - The first bytes of the file
+ * @param {Array<number>} signature - The expected bytes
+ * @returns {boolean} - True if the header starts with the signature
+ */
+export function startsWithBytes(header, signature) {
+  return header.length >= signature.length &&
+    signature.every((byte, index) => header[index] === byte);
+}
+
+/**
+ * Check if a file header contains a string
+ * Useful for telling apart formats that share a container, such as .docx and .odt
+ * @param {Buffer} header - The first bytes of the file
+ * @param {string} text - The text to look for
+ * @param {string} encoding - Encoding of the text in the file (e.g. 'utf16le' for OLE2 stream names)
+ * @returns {boolean} - True if the text is found
+ */
+export function containsText(header, text, encoding = 'latin1') {
+  return header.includes(Buffer.from(text, encoding));
+}
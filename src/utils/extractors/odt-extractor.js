@@ -0,0 +1,74 @@
+import fs from 'fs';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { startsWithBytes, containsText, ZIP_SIGNATURE } from './magic-bytes.js';
+
+// Mime type stored at the start of every OpenDocument text file
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Convert OpenDocument content XML to plain text
+ * @param {string} xml - The content.xml of an OpenDocument file
+ * @returns {string} - The text content
+ * @private
+ */
+function odfXmlToText(xml) {
+  return xml
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<\/text:(?:p|h)>/g, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * OpenDocument Text (.odt) implementation of the text extractor interface
+ * Requires the 'jszip' package to be installed
+ */
+export class OdtExtractor extends TextExtractorInterface {
+  /**
+   * Extract the text of a LibreOffice / OpenOffice document
+   * @param {string} filePath - Path to the document
+   * @returns {Promise<Object>} - The extracted text
+   */
+  async extractText(filePath) {
+    let JSZip;
+    try {
+      // Dynamic import of JSZip to avoid requiring it as a direct dependency
+      ({ default: JSZip } = await import('jszip'));
+    } catch (error) {
+      console.error('Failed to load jszip:', error.message);
+      console.log('Make sure you have installed the jszip package:');
+      console.log('  npm install jszip');
+
+      throw new Error('ODT extractor initialization failed. See error above.');
+    }
+
+    const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+    const content = zip.file('content.xml');
+    if (!content) {
+      throw new Error('Invalid OpenDocument file: content.xml is missing');
+    }
+
+    return { text: odfXmlToText(await content.async('string')) };
+  }
+
+  static getExtensions() {
+    return ['.odt'];
+  }
+
+  static matchesMagicBytes(header) {
+    return startsWithBytes(header, ZIP_SIGNATURE) && containsText(header, ODT_MIME_TYPE);
+  }
+
+  static getExtractorName() {
+    return "OpenDocument Text";
+  }
+}
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+import { startsWithBytes, PDF_SIGNATURE } from './magic-bytes.js';
+
+/**
+ * PDF implementation of the text extractor interface
+ * Requires the 'pdf-parse' package to be installed
+ * Only PDFs with a text layer are supported, scanned PDFs without one yield no text
+ */
+export class PdfExtractor extends TextExtractorInterface {
+  /**
+   * Extract the text layer of a PDF
+   * @param {string} filePath - Path to the PDF
+   * @returns {Promise<Object>} - The extracted text and page count
+   */
+  async extractText(filePath) {
+    let PDFParse;
+    try {
+      // Dynamic import of pdf-parse to avoid requiring it as a direct dependency
+      ({ PDFParse } = await import('pdf-parse'));
+    } catch (error) {
+      console.error('Failed to load pdf-parse:', error.message);
+      console.log('Make sure you have installed the pdf-parse package:');
+      console.log('  npm install pdf-parse');
+
+      throw new Error('PDF extractor initialization failed. See error above.');
+    }
+
+    const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+    try {
+      // Drop the "-- 1 of 3 --" page markers pdf-parse adds by default
+      const result = await parser.getText({ pageJoiner: '' });
+      return {
+        text: result.text,
+        metadata: { pageCount: result.total }
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  static getExtensions() {
+    return ['.pdf'];
+  }
+
+  static matchesMagicBytes(header) {
+    return startsWithBytes(header, PDF_SIGNATURE);
+  }
+
+  static getExtractorName() {
+    return "PDF";
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Base interface for document text extractors
+ * This defines the common methods that all extractor implementations must provide
+ */
+export class TextExtractorInterface {
+  /**
+   * Extract the text content of a document
+   * Subclasses take the path to the document and optional parameters for the extraction.
+   * @returns {Promise<Object>} - The extracted `text`, its `format` ('text' or 'markdown') and any extractor specific `metadata`
+   */
+  async extractText() {
+    throw new Error("Method 'extractText' must be implemented by subclasses");
+  }
+
+  /**
+   * Get the file extensions handled by this extractor
+   * @returns {Array<string>} - Lower case extensions including the leading dot
+   */
+  static getExtensions() {
+    return [];
+  }
+
+  /**
+   * Check if the first bytes of a file identify it as a type handled by this extractor
+   * Used when a file has no extension or an extension that isn't registered.
+   * Subclasses take the first bytes of the file.
+   * @returns {boolean} - True if this extractor can handle the file
+   */
+  static matchesMagicBytes() {
+    return false;
+  }
+
+  /**
+   * Whether the extractor reads scanned images (the text comes from OCR)
+   * @returns {boolean} - True for image extractors
+   */
+  static isImageExtractor() {
+    return false;
+  }
+
+  /**
+   * Get the name of this extractor
+   * @returns {string} - The name of the extractor
+   */
+  static getExtractorName() {
+    return "Base Extractor";
+  }
+}
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import { TextExtractorInterface } from './text-extractor-interface.js';
+
+/**
+ * Plain text implementation of the text extractor interface
+ * Used for typed transcriptions of certificates and letters
+ */
+export class TextFileExtractor extends TextExtractorInterface {
+  /**
+   * Read a UTF-8 text file
+   * @param {string} filePath - Path to the text file
+   * @returns {Promise<Object>} - The file content
+   */
+  async extractText(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    // Strip the byte order mark some Windows editors add
+    return { text: text.replace(/^\uFEFF/, '') };
+  }
+
+  static getExtensions() {
+    return ['.txt'];
+  }
+
+  static getExtractorName() {
+    return "Plain Text";
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Genealogical dates
+ * Historical records rarely give an exact date: a baptism register gives a year,
+ * a headstone says "aged about 70", a census gives an age in a given year. Dates
+ * are stored as objects that keep the precision and qualifier of the source
+ * rather than claiming false precision with a made-up day and month:
+ *
+ *   { "original": "circa 1850", "qualifier": "about", "date": "1850" }
+ *   { "original": "Mar 1866", "qualifier": "exact", "date": "1866-03" }
+ *   { "original": "between 1850 and 1855", "qualifier": "between", "date": "1850", "end_date": "1855" }
+ *
+ * `date` and `end_date` are partial ISO dates (YYYY, YYYY-MM or YYYY-MM-DD).
+ */
+
+export const DATE_QUALIFIERS = {
+  EXACT: 'exact',
+  ABOUT: 'about',
+  BEFORE: 'before',
+  AFTER: 'after',
+  BETWEEN: 'between'
+};
+
+// How far either side of an "about" date the real date may be
+const ABOUT_MARGIN_YEARS = 2;
+
+const PARTIAL_DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const QUALIFIER_PATTERNS = [
+  { qualifier: DATE_QUALIFIERS.ABOUT, pattern: /^(?:about|abt\.?|circa|ca\.?|c\.|c|approximately|approx\.?|around|estimated|est\.?)\s*/ },
+  { qualifier: DATE_QUALIFIERS.BEFORE, pattern: /^(?:before|bef\.?|by)\s+/ },
+  { qualifier: DATE_QUALIFIERS.AFTER, pattern: /^(?:after|aft\.?)\s+/ }
+];
+
+// Text that means the date isn't known at all
+const UNKNOWN_DATES = ['unknown', 'n/a', 'na', 'not known', '?', '-'];
+
+/**
+ * Pad a number to a fixed width with leading zeros
+ * @param {number} value - The number
+ * @param {number} width - The width
+ * @returns {string} - The padded number
+ * @private
+ */
+function pad(value, width = 2) {
+  return String(value).padStart(width, '0');
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @returns {number} - The number of days
+ * @private
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Build a partial ISO date, checking the month and day exist
+ * @param {number} year - The year
+ * @param {number} [month] - The month (1-12)
+ * @param {number} [day] - The day of the month
+ * @returns {string|null} - The partial date, or null if it isn't a real date
+ * @private
+ */
+function buildPartialDate(year, month, day) {
+  if (!month) return pad(year, 4);
+  if (month < 1 || month > 12) return null;
+  if (!day) return `${pad(year, 4)}-${pad(month)}`;
+  if (day < 1 || day > daysInMonth(year, month)) return null;
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Get the month number from a month name or abbreviation
+ * @param {string} name - The month name, e.g. "March" or "Mar."
+ * @returns {number|null} - The month (1-12), or null if it isn't a month
+ * @private
+ */
+function parseMonth(name) {
+  const index = MONTHS.indexOf(name.replace(/\.$/, '').slice(0, 3));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parse a single date without a qualifier
+ * Accepts ISO dates, "15 March 1850", "March 15, 1850", "March 1850", "1850" and
+ * day/month/year numbers as written in Australian and British records
+ * @param {string} text - The date text, lower case
+ * @returns {string|null} - The partial ISO date, or null if it can't be parsed
+ * @private
+ */
+function parseSimpleDate(text) {
+  const value = text.trim().replace(/,/g, ' ').replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value))) {
+    return buildPartialDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  if ((match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value))) {
+    return buildPartialDate(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  if ((match = /^(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+\.?) (\d{4})$/.exec(value))) {
+    const month = parseMonth(match[2]);
+    return month ? buildPartialDate(Number(match[3]), month, Number(match[1])) : null;
+  }
+
+  if ((match = /^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)? (\d{4})$/.exec(value))) {
+    const month = parseMonth(match[1]);
+    return month ? buildPartialDate(Number(match[3]), month, Number(match[2])) : null;
+  }
+
+  if ((match = /^([a-z]+\.?) (\d{4})$/.exec(value))) {
+    const month = parseMonth(match[1]);
+    return month ? buildPartialDate(Number(match[2]), month) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a date as written in a document
+ * @param {string} text - The date text, e.g. "circa 1850", "bef. 3 Mar 1866" or "1850-1855"
+ * @returns {Object|null} - The genealogical date, or null if the text isn't a date
+ */
+export function parseGenealogicalDate(text) {
+  if (typeof text !== 'string') return null;
+
+  const original = text.trim();
+  let value = original.toLowerCase();
+  if (value === '' || UNKNOWN_DATES.includes(value)) return null;
+
+  // Ranges: "between 1850 and 1855", "1850-1855", "1850s"
+  let match = /^(?:between|bet\.?|btw\.?)\s+(.+?)\s+(?:and|&|-|to)\s+(.+)$/.exec(value) ||
+    /^(\d{4})\s*[-–]\s*(\d{4})$/.exec(value) ||
+    /^(?:from\s+)?(.+?\d{4})\s+to\s+(.+\d{4})$/.exec(value);
+  if (match) {
+    const date = parseSimpleDate(match[1]);
+    const endDate = parseSimpleDate(match[2]);
+    return date && endDate
+      ? { original, qualifier: DATE_QUALIFIERS.BETWEEN, date, end_date: endDate }
+      : null;
+  }
+
+  if ((match = /^(\d{3})0s$/.exec(value))) {
+    return { original, qualifier: DATE_QUALIFIERS.BETWEEN, date: `${match[1]}0`, end_date: `${match[1]}9` };
+  }
+
+  let qualifier = DATE_QUALIFIERS.EXACT;
+  for (const entry of QUALIFIER_PATTERNS) {
+    if (entry.pattern.test(value)) {
+      qualifier = entry.qualifier;
+      value = value.replace(entry.pattern, '');
+      break;
+    }
+  }
+
+  const date = parseSimpleDate(value);
+  return date ? { original, qualifier, date } : null;
+}
+
+/**
+ * Check if a value is a genealogical date object
+ * @param {any} value - The value to check
+ * @returns {boolean} - True if the value is an object with a `date`
+ */
+export function isGenealogicalDate(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.date === 'string';
+}
+
+/**
+ * Convert a date returned by the LLM (or read from an older output) to a genealogical date
+ * Strings are parsed; objects missing a qualifier are treated as exact. Text that
+ * can't be parsed is kept as `original` without a `date` so validation reports it.
+ * @param {any} value - The date value
+ * @returns {Object|null} - The genealogical date, or null if there is no date
+ */
+export function normalizeGenealogicalDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed === '' || UNKNOWN_DATES.includes(trimmed.toLowerCase())) return null;
+    return parseGenealogicalDate(trimmed) || { original: trimmed };
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if (!value.date && value.original) {
+      return parseGenealogicalDate(value.original) || { ...value };
+    }
+    return { ...value, qualifier: value.qualifier || DATE_QUALIFIERS.EXACT };
+  }
+
+  return value;
+}
+
+/**
+ * Check a genealogical date for problems the schema can't express
+ * @param {Object} value - The genealogical date
+ * @returns {Array<string>} - Problems with the date, empty if it is valid
+ */
+export function validateGenealogicalDate(value) {
+  if (!isGenealogicalDate(value)) return [];
+
+  const problems = [];
+  for (const field of ['date', 'end_date']) {
+    if (!value[field]) continue;
+    const match = PARTIAL_DATE_PATTERN.exec(value[field]);
+    if (!match || !buildPartialDate(Number(match[1]), Number(match[2]), Number(match[3]))) {
+      problems.push(`${field} "${value[field]}" is not a real date`);
+    }
+  }
+
+  if (problems.length === 0 && value.qualifier === DATE_QUALIFIERS.BETWEEN && value.end_date &&
+      getPeriod(value.end_date).end < getPeriod(value.date).start) {
+    problems.push(`end_date "${value.end_date}" is before date "${value.date}"`);
+  }
+
+  return problems;
+}
+
+/**
+ * Get the first and last day covered by a partial date
+ * @param {string} partialDate - A partial ISO date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @returns {Object} - The `start` and `end` as YYYY-MM-DD
+ * @private
+ */
+function getPeriod(partialDate) {
+  const [year, month, day] = partialDate.split('-').map(Number);
+  if (day) return { start: partialDate, end: partialDate };
+  if (month) {
+    return {
+      start: `${pad(year, 4)}-${pad(month)}-01`,
+      end: `${pad(year, 4)}-${pad(month)}-${pad(daysInMonth(year, month))}`
+    };
+  }
+  return { start: `${pad(year, 4)}-01-01`, end: `${pad(year, 4)}-12-31` };
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of years
+ * @param {string} isoDate - The date
+ * @param {number} years - Years to add (negative to subtract)
+ * @returns {string} - The shifted date
+ * @private
+ */
+function shiftYears(isoDate, years) {
+  return `${pad(Number(isoDate.slice(0, 4)) + years, 4)}${isoDate.slice(4)}`;
+}
+
+/**
+ * Get the range of days a genealogical date could fall on
+ * @param {Object} value - The genealogical date
+ * @returns {Object|null} - The `earliest` and `latest` possible days as YYYY-MM-DD
+ * (null when the range is open on that side), or null if there is no date
+ */
+export function getDateRange(value) {
+  if (!isGenealogicalDate(value)) return null;
+
+  const period = getPeriod(value.date);
+
+  switch (value.qualifier) {
+    case DATE_QUALIFIERS.ABOUT:
+      return { earliest: shiftYears(period.start, -ABOUT_MARGIN_YEARS), latest: shiftYears(period.end, ABOUT_MARGIN_YEARS) };
+    case DATE_QUALIFIERS.BEFORE:
+      return { earliest: null, latest: period.start };
+    case DATE_QUALIFIERS.AFTER:
+      return { earliest: period.end, latest: null };
+    case DATE_QUALIFIERS.BETWEEN:
+      return { earliest: period.start, latest: getPeriod(value.end_date || value.date).end };
+    default:
+      return { earliest: period.start, latest: period.end };
+  }
+}
+
+/**
+ * Check if two genealogical dates could be the same date
+ * @param {Object} a - The first date
+ * @param {Object} b - The second date
+ * @returns {boolean} - True if the dates' ranges overlap, or either date is missing
+ */
+export function datesOverlap(a, b) {
+  const rangeA = getDateRange(a);
+  const rangeB = getDateRange(b);
+  if (!rangeA || !rangeB) return true;
+
+  return (rangeA.earliest === null || rangeB.latest === null || rangeA.earliest <= rangeB.latest) &&
+    (rangeB.earliest === null || rangeA.latest === null || rangeB.earliest <= rangeA.latest);
+}
+
+/**
+ * Get a YYYY-MM-DD date to sort a genealogical date by: the first day of its date,
+ * or the last day for "after" dates. This is also stored in the database so records
+ * can be sorted there
+ * @param {Object} value - The genealogical date
+ * @returns {string|null} - The sort date, or null if there is no date
+ */
+export function getSortDate(value) {
+  if (!isGenealogicalDate(value)) return null;
+
+  const period = getPeriod(value.date);
+  return value.qualifier === DATE_QUALIFIERS.AFTER ? period.end : period.start;
+}
+
+/**
+ * Compare two genealogical dates for sorting
+ * Dates sort by their sort date; for the same day "before" dates come first and
+ * "after" dates last, then less precise dates before more precise ones. Missing
+ * dates sort last.
+ * @param {Object|null} a - The first date
+ * @param {Object|null} b - The second date
+ * @returns {number} - Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+export function compareGenealogicalDates(a, b) {
+  const sortA = getSortDate(a);
+  const sortB = getSortDate(b);
+
+  if (sortA === null || sortB === null) {
+    return (sortA === null) - (sortB === null);
+  }
+  if (sortA !== sortB) return sortA < sortB ? -1 : 1;
+
+  const rank = value => ({ [DATE_QUALIFIERS.BEFORE]: 0, [DATE_QUALIFIERS.AFTER]: 2 }[value.qualifier] ?? 1);
+  return rank(a) - rank(b) || a.date.length - b.date.length;
+}
+
+/**
+ * Format a genealogical date for display, e.g. "c. 1850" or "between 1850 and 1855"
+ * @param {Object|string|null} value - The genealogical date (other values are returned as text)
+ * @returns {string} - The formatted date, or an empty string if there is no date
+ */
+export function formatGenealogicalDate(value) {
+  if (value === null || value === undefined) return '';
+  if (!isGenealogicalDate(value)) {
+    return typeof value === 'object' ? value.original || '' : String(value);
+  }
+
+  switch (value.qualifier) {
+    case DATE_QUALIFIERS.ABOUT:
+      return `c. ${value.date}`;
+    case DATE_QUALIFIERS.BEFORE:
+      return `before ${value.date}`;
+    case DATE_QUALIFIERS.AFTER:
+      return `after ${value.date}`;
+    case DATE_QUALIFIERS.BETWEEN:
+      return `between ${value.date} and ${value.end_date}`;
+    default:
+      return value.date;
+  }
+}
@@ -80,3 +80,17 @@ export function normalizePersonsData(data) {
   // If none of the above, treat as a single person and wrap in an array
   return [data];
 }
+
+/**
+ * Extracts a named array (such as "relationships" or "voyages") from an LLM response
+ * @param {any} data - The JSON data returned by the LLM
+ * @param {string} listName - The property holding the array
+ * @returns {array} - The array (empty if the response has none)
+ */
+export function normalizeListData(data, listName) {
+  if (data && !Array.isArray(data) && Array.isArray(data[listName])) {
+    return data[listName];
+  }
+  
+  return [];
+}
@@ -1,4 +1,5 @@
-import { LLMInterface } from './llm-interface.js';
+import { LLMInterface, createProviderError } from './llm-interface.js';
+import { toAnthropicTool } from './structured-output.js';
 
 /**
  * Anthropic Claude implementation of the LLM interface
@@ -11,6 +12,8 @@ export class AnthropicLLM extends LLMInterface {
     this.model = options.model || 'claude-3-opus-20240229';
     this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
     this.maxTokens = options.maxTokens || 4096;
+    // Why the last response ended: end_turn, tool_use, max_tokens or stop_sequence
+    this.lastStopReason = null;
     
     // Dynamically import Anthropic SDK to avoid requiring it as a direct dependency
     this.anthropic = null;
@@ -73,8 +76,10 @@ export class AnthropicLLM extends LLMInterface {
       const { Anthropic } = await import('@anthropic-ai/sdk');
       
       // Create an Anthropic client
+      // Retries are left to ResilientLLM, which the factory wraps every provider in
       this.anthropic = new Anthropic({
-        apiKey: this.apiKey
+        apiKey: this.apiKey,
+        maxRetries: 0
       });
       
       console.log('Anthropic client initialized successfully.');
@@ -88,45 +93,127 @@ export class AnthropicLLM extends LLMInterface {
   }
 
   /**
-   * Send a prompt to the Anthropic Claude model and get a response
+   * Build the request for a call to the Claude Messages API
    * @param {string} prompt - The prompt to send to Claude
    * @param {Object} options - Optional parameters for the Claude call
-   * @returns {Promise<string>} - The Claude response
+   * @returns {Object} - The request parameters
+   * @private
    */
-  async generateResponse(prompt, options = {}) {
+  buildRequest(prompt, options) {
+    const request = {
+      model: options.model || this.model,
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens
+    };
+    
+    // Claude takes the system prompt as its own parameter, not as a message
+    if (options.systemPrompt) {
+      request.system = options.systemPrompt;
+    }
+    
+    return request;
+  }
+
+  /**
+   * Call the Claude Messages API
+   * The `stop_reason` of the response is kept in `lastStopReason`. A response cut off
+   * by `max_tokens` is an error, as a truncated answer (especially truncated JSON)
+   * can't be used; raise `maxTokens` to allow longer responses.
+   * @param {Object} request - The request parameters
+   * @param {string} prompt - The prompt, for the budget check
+   * @param {Object} options - The call options, with the `usageTracker` if usage is tracked and the `signal` that cancels the request
+   * @returns {Promise<Object>} - The Claude response
+   * @private
+   */
+  async createMessage(request, prompt, options) {
     // Make sure the client is initialized
     if (!this.anthropic) {
       await this.initializeAnthropic();
     }
     
-    // Configure options for this request
-    const model = options.model || this.model;
-    const temperature = options.temperature !== undefined ? options.temperature : this.temperature;
-    const maxTokens = options.maxTokens || this.maxTokens;
+    this.checkBudget(prompt, options, request.model, request.max_tokens);
+    const started = Date.now();
     
+    let response;
     try {
-      // Create the messages for Claude API
-      const messages = [
-        { role: 'user', content: prompt }
-      ];
-      
-      // Call the Claude API
-      const response = await this.anthropic.messages.create({
-        model: model,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: maxTokens
-      });
-      
-      // Validate and return the content of the response
-      if (Array.isArray(response.content) && response.content.length > 0 && response.content[0].text) {
-        return response.content[0].text;
-      } else {
-        throw new Error('Invalid response format: content is missing or improperly structured');
-      }
+      response = await this.anthropic.messages.create(request, { signal: options.signal });
     } catch (error) {
       console.error('Error calling Anthropic Claude API:', error.message);
-      throw new Error(`Claude API error: ${error.message}`);
+      throw createProviderError(`Claude API error: ${error.message}`, error);
+    }
+    
+    this.lastStopReason = response.stop_reason;
+    this.reportUsage(options, {
+      model: response.model || request.model,
+      inputTokens: response.usage ? response.usage.input_tokens : 0,
+      outputTokens: response.usage ? response.usage.output_tokens : 0,
+      latencyMs: Date.now() - started
+    });
+    
+    if (response.stop_reason === 'max_tokens') {
+      const error = new Error(`Claude response was truncated at max_tokens (${request.max_tokens}). Increase maxTokens to allow a longer response`);
+      error.stopReason = response.stop_reason;
+      throw error;
+    }
+    
+    if (!Array.isArray(response.content) || response.content.length === 0) {
+      throw new Error(`Invalid response format: content is missing or improperly structured (stop_reason: ${response.stop_reason})`);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Send a prompt to the Anthropic Claude model and get a response
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - Optional parameters for the Claude call
+   * @param {string} options.systemPrompt - Instructions sent as the system prompt
+   * @returns {Promise<string>} - The Claude response
+   */
+  async generateResponse(prompt, options = {}) {
+    const response = await this.createMessage(this.buildRequest(prompt, options), prompt, options);
+    
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    
+    if (!text) {
+      throw new Error(`Invalid response format: no text in the response (stop_reason: ${response.stop_reason})`);
     }
+    
+    return text;
+  }
+
+  /**
+   * Generate a JSON response from Claude
+   * Claude has no JSON mode, so it is given a single tool whose input is the JSON
+   * wanted and made to call it. The tool input is already parsed, so there is no
+   * text to clean up.
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - Optional parameters for the Claude call
+   * @param {Object} options.jsonSchema - JSON schema the response must match (defaults to any object)
+   * @param {string} options.toolName - Name of the tool the JSON is returned through
+   * @returns {Promise<Object>} - The parsed JSON response
+   */
+  async generateJSON(prompt, options = {}) {
+    const toolName = options.toolName || 'return_json';
+    const request = {
+      ...this.buildRequest(prompt, options),
+      tools: [toAnthropicTool(options.jsonSchema || { type: 'object' }, toolName, 'Return the requested data. The input must be the complete JSON response.')],
+      tool_choice: { type: 'tool', name: toolName }
+    };
+    
+    const response = await this.createMessage(request, prompt, options);
+    
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === toolName);
+    if (!toolUse || !toolUse.input || typeof toolUse.input !== 'object') {
+      throw new Error(`Claude did not return JSON through the ${toolName} tool (stop_reason: ${response.stop_reason})`);
+    }
+    
+    return toolUse.input;
   }
 }
@@ -0,0 +1,215 @@
+import { LLMInterface } from './llm-interface.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Content-addressed cache of LLM responses
+ * Each response is stored under a hash of the provider, model, method, call options
+ * and prompt, so the same request is only ever paid for once. A cache directory
+ * checked into the repository works as a cassette: replay mode answers every call
+ * from it, so an extraction can be run offline against real provider responses.
+ */
+
+export const CACHE_MODES = {
+  // Answer from the cache, calling the provider (and storing its response) on a miss
+  RECORD: 'record',
+  // Answer only from the cache, failing on a miss
+  REPLAY: 'replay',
+  // Always call the provider and leave the cache alone
+  PASSTHROUGH: 'passthrough'
+};
+
+export const DEFAULT_CACHE_DIR = '.llm-cache';
+
+// Call options that change the response, and so are part of the key (with the model).
+// Anything else (e.g. LLM instances or callbacks passed through options) is ignored.
+const KEYED_OPTIONS = ['systemPrompt', 'temperature', 'maxTokens', 'responseFormat', 'jsonSchema', 'toolName'];
+
+/**
+ * Sort the keys of an object (and the objects in it), so equal objects serialize the same
+ * @param {any} value - The value
+ * @returns {any} - The value with sorted keys
+ * @private
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Get the cache key of an LLM call
+ * @param {Object} request - The call
+ * @param {string} request.provider - The registered provider name
+ * @param {string} request.model - The provider's model (a `model` in the options takes precedence)
+ * @param {string} request.method - generateResponse or generateJSON
+ * @param {string} request.prompt - The prompt
+ * @param {Object} request.options - The call options
+ * @returns {string} - The SHA-256 hash of the call, in hex
+ */
+export function getCacheKey({ provider, model, method, prompt, options = {} }) {
+  const keyedOptions = {};
+  for (const name of KEYED_OPTIONS) {
+    if (options[name] !== undefined) keyedOptions[name] = options[name];
+  }
+
+  const request = sortKeys({
+    provider,
+    model: options.model || model || null,
+    method,
+    options: keyedOptions,
+    prompt
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * A directory of cached responses, one file per key, shared by the LLMs using it
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - The directory of cached responses (defaults to .llm-cache)
+   * @param {string} options.mode - record (the default), replay or passthrough
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+    this.mode = options.mode || CACHE_MODES.RECORD;
+    if (!Object.values(CACHE_MODES).includes(this.mode)) {
+      throw new Error(`Unknown cache mode: ${this.mode}. Use ${Object.values(CACHE_MODES).join(', ')}`);
+    }
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+  }
+
+  /**
+   * Get the path of the file for a key
+   * @param {string} key - The cache key
+   * @returns {string} - The file path
+   */
+  getPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Get the cached entry for a key
+   * @param {string} key - The cache key
+   * @returns {Object|null} - The entry with its `response`, or null if there isn't one
+   */
+  get(key) {
+    const filePath = this.getPath(key);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry under its key
+   * @param {string} key - The cache key
+   * @param {Object} entry - The call and its `response`
+   */
+  set(key, entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getPath(key), JSON.stringify({ key, ...entry, recordedAt: new Date().toISOString() }, null, 2));
+    this.stats.recorded++;
+  }
+}
+
+/**
+ * Wraps an LLM and answers its calls from a ResponseCache
+ * Failed calls are never cached, so they are tried again on the next run. In replay
+ * mode no LLM is needed, as every call is answered from the cache.
+ */
+export class CachedLLM extends LLMInterface {
+  /**
+   * @param {Object|null} llm - The LLM instance to wrap (null to only replay)
+   * @param {Object} options - Cache options
+   * @param {ResponseCache} options.cache - The cache to use
+   * @param {string} options.provider - The registered provider name, part of the key
+   * @param {string} options.model - The provider's default model, part of the key
+   */
+  constructor(llm, options = {}) {
+    super();
+    this.llm = llm;
+    this.cache = options.cache || new ResponseCache();
+    this.provider = options.provider || llm.constructor.getProviderName();
+    this.model = options.model || (llm && llm.model) || null;
+
+    if (llm && typeof llm.checkHealth === 'function') {
+      this.checkHealth = () => llm.checkHealth();
+    }
+  }
+
+  /**
+   * Get the provider name
+   * @returns {string} - Name of this provider
+   */
+  static getProviderName() {
+    return "Cached";
+  }
+
+  /**
+   * Answer a call from the cache, or make it and store the response
+   * @param {string} method - The method called
+   * @param {string} prompt - The prompt
+   * @param {Object} options - The call options
+   * @param {Function} call - Makes the call and returns the response
+   * @returns {Promise<any>} - The response
+   * @private
+   */
+  async cached(method, prompt, options, call) {
+    if (this.cache.mode === CACHE_MODES.PASSTHROUGH) {
+      return call();
+    }
+
+    const key = getCacheKey({ provider: this.provider, model: this.model, method, prompt, options });
+    const entry = this.cache.get(key);
+    if (entry) {
+      this.cache.stats.hits++;
+      this.reportUsage(options, { provider: this.provider, model: entry.model, inputTokens: 0, outputTokens: 0, latencyMs: 0, cached: true });
+      return entry.response;
+    }
+
+    this.cache.stats.misses++;
+    if (this.cache.mode === CACHE_MODES.REPLAY) {
+      const error = new Error(`No cached ${this.provider} response for this ${method} call (key ${key}) in ${this.cache.dir}. Record it first with cache mode record`);
+      error.cacheMiss = true;
+      throw error;
+    }
+
+    const response = await call();
+    this.cache.set(key, {
+      provider: this.provider,
+      model: options.model || this.model,
+      method,
+      prompt,
+      response
+    });
+    return response;
+  }
+
+  /**
+   * Send a prompt to the wrapped LLM, unless the response is cached
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Optional parameters for the LLM call
+   * @returns {Promise<string>} - The LLM response
+   */
+  async generateResponse(prompt, options = {}) {
+    return this.cached('generateResponse', prompt, options, () => this.llm.generateResponse(prompt, options));
+  }
+
+  /**
+   * Generate a JSON response from the wrapped LLM, unless the response is cached
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Optional parameters for the LLM call
+   * @returns {Promise<Object>} - The parsed JSON response
+   */
+  async generateJSON(prompt, options = {}) {
+    return this.cached('generateJSON', prompt, options, () => this.llm.generateJSON(prompt, options));
+  }
+}
@@ -1,6 +1,9 @@
 import { llmFactory } from './llm-factory.js';
 import { MockLLM } from './mock-llm.js';
 import { LLMInterface } from './llm-interface.js';
+import { ResilientLLM, DEFAULT_RESILIENCE } from './resilient-llm.js';
+import { CachedLLM, CACHE_MODES, DEFAULT_CACHE_DIR } from './cached-llm.js';
+import { toOpenAIResponseFormat, toAnthropicTool, describeSchema } from './structured-output.js';
 
 // Lazy-load the OpenAI provider to avoid requiring it as a direct dependency
 const registerOpenAI = async () => {
@@ -30,6 +33,20 @@ const registerAnthropic = async () => {
   }
 };
 
+// Lazy-load the local provider for self-hosted OpenAI-compatible servers (Ollama, llama.cpp, vLLM)
+const registerLocal = async () => {
+  try {
+    const { LocalLLM } = await import('./local-llm.js');
+    
+    // Register the provider with both the class and factory method
+    llmFactory.registerProvider('local', LocalLLM, options => new LocalLLM(options));
+    return true;
+  } catch (error) {
+    console.warn('Local LLM provider could not be registered:', error.message);
+    return false;
+  }
+};
+
 // Register the MockLLM provider
 // This is already done in the constructor, but we do it again here for consistency
 llmFactory.registerProvider('mock', MockLLM, options => new MockLLM(options));
@@ -38,7 +55,15 @@ llmFactory.registerProvider('mock', MockLLM, options => new MockLLM(options));
 export { 
   llmFactory, 
   LLMInterface, 
-  MockLLM 
+  MockLLM,
+  ResilientLLM,
+  DEFAULT_RESILIENCE,
+  CachedLLM,
+  CACHE_MODES,
+  DEFAULT_CACHE_DIR,
+  toOpenAIResponseFormat,
+  toAnthropicTool,
+  describeSchema
 };
 
 // Optional: Expose a helper function to register all providers
@@ -46,6 +71,7 @@ export const registerAllProviders = async () => {
   const results = {
     openai: await registerOpenAI(),
     claude: await registerAnthropic(),
+    local: await registerLocal(),
     // Add other providers here as they become available
   };
   
@@ -1,4 +1,6 @@
 import { MockLLM } from './mock-llm.js';
+import { ResilientLLM, RequestLimiter, DEFAULT_RESILIENCE } from './resilient-llm.js';
+import { CachedLLM, ResponseCache } from './cached-llm.js';
 
 /**
  * Factory class for creating LLM instances
@@ -10,6 +12,14 @@ export class LLMFactory {
     this.providerClasses = {};
     this.defaultProvider = null;
     
+    // Retry, timeout and rate limit settings, for every provider and by provider name
+    this.resilience = { ...DEFAULT_RESILIENCE };
+    this.providerResilience = {};
+    this.limiters = {};
+    
+    // The response cache shared by every LLM created, if caching is on
+    this.cache = null;
+    
     // Register the built-in mock provider
     this.registerProvider('mock', MockLLM, options => new MockLLM(options));
   }
@@ -69,10 +79,50 @@ export class LLMFactory {
     return providerClass.getProviderName();
   }
 
+  /**
+   * Configure the retries, timeouts and rate limits applied to the LLMs created
+   * @param {Object} settings - The settings to change (see DEFAULT_RESILIENCE), or `enabled: false` to create unwrapped LLMs
+   * @param {string} name - The provider the settings are for (every provider if not specified)
+   */
+  configureResilience(settings, name = null) {
+    if (name) {
+      this.providerResilience[name] = { ...this.providerResilience[name], ...settings };
+    } else {
+      this.resilience = { ...this.resilience, ...settings };
+    }
+    
+    // The limits may have changed, so start new limiters
+    this.limiters = {};
+  }
+
+  /**
+   * Get the resilience settings for a provider
+   * @param {string} name - The name of the provider
+   * @returns {Object} - The settings
+   */
+  getResilience(name) {
+    return { ...this.resilience, ...this.providerResilience[name] };
+  }
+
+  /**
+   * Configure the response cache used by the LLMs created
+   * @param {Object|null} options - The cache `dir` and `mode` (record, replay or passthrough), or null to turn caching off
+   * @returns {ResponseCache|null} - The cache, whose `stats` count the hits, misses and recorded responses
+   */
+  configureCache(options) {
+    this.cache = options ? new ResponseCache(options) : null;
+    return this.cache;
+  }
+
   /**
    * Create an LLM instance
+   * When a cache is configured, calls are answered from it before reaching the provider.
+   * The instance is wrapped in a ResilientLLM, which retries failed calls and keeps
+   * within the provider's limits; the limits are shared by every instance of a provider.
    * @param {string} name - The name of the provider to create (uses default if not specified)
    * @param {Object} options - Options to pass to the provider factory
+   * @param {Object|boolean} options.resilience - Resilience settings for this instance, or false to not wrap it
+   * @param {boolean} options.cache - False to not use the response cache for this instance
    * @returns {Object} - An LLM instance
    */
   create(name = null, options = {}) {
@@ -86,7 +136,27 @@ export class LLMFactory {
       throw new Error(`Provider '${providerName}' is not registered`);
     }
     
-    return this.providers[providerName](options);
+    const { resilience, cache, ...providerOptions } = options;
+    const provider = this.providers[providerName](providerOptions);
+    let llm = provider;
+    
+    const settings = { ...this.getResilience(providerName), ...resilience };
+    if (resilience !== false && settings.enabled !== false) {
+      if (!this.limiters[providerName]) {
+        this.limiters[providerName] = new RequestLimiter(settings);
+      }
+      
+      const resilienceSettings = { ...settings };
+      delete resilienceSettings.enabled;
+      llm = new ResilientLLM(llm, { ...resilienceSettings, provider: providerName, limiter: this.limiters[providerName] });
+    }
+    
+    // Cached responses don't count against the provider's limits, so the cache goes outside
+    if (this.cache && cache !== false) {
+      llm = new CachedLLM(llm, { cache: this.cache, provider: providerName, model: provider.model });
+    }
+    
+    return llm;
   }
   
   /**
@@ -1,3 +1,19 @@
+/**
+ * Create the error a provider throws when its API call fails
+ * Keeps the HTTP `status`, response `headers` and network `code` of the original
+ * error, which ResilientLLM needs to decide whether and when to retry.
+ * @param {string} message - The message of the new error
+ * @param {Error} error - The error thrown by the provider's client
+ * @returns {Error} - The new error, with the original as its `cause`
+ */
+export function createProviderError(message, error) {
+  const providerError = new Error(message, { cause: error });
+  if (error.status !== undefined) providerError.status = error.status;
+  if (error.headers !== undefined) providerError.headers = error.headers;
+  if (error.code !== undefined) providerError.code = error.code;
+  return providerError;
+}
+
 /**
  * Base interface for LLM providers
  * This defines the common methods that all LLM implementations must provide
@@ -27,6 +43,40 @@ export class LLMInterface {
     return JSON.parse(response);
   }
   
+  /**
+   * Stop a call that could take the usage tracker given in the options over its budget
+   * @param {string} prompt - The prompt about to be sent
+   * @param {Object} options - The call options, with the `usageTracker` if usage is tracked
+   * @param {string} model - The model the call is for
+   * @param {number} maxTokens - The most output tokens the call can return
+   * @protected
+   */
+  checkBudget(prompt, options, model, maxTokens) {
+    if (!options.usageTracker) return;
+    
+    const systemPrompt = options.systemPrompt || '';
+    options.usageTracker.checkBudget({
+      provider: this.constructor.getProviderName(),
+      model,
+      inputTokens: Math.ceil((prompt.length + systemPrompt.length) / 4),
+      outputTokens: maxTokens || 0
+    });
+  }
+
+  /**
+   * Report the tokens, model and latency of a call
+   * The usage is kept in `lastUsage` and recorded by the `usageTracker` given in the options.
+   * @param {Object} options - The call options
+   * @param {Object} usage - The `model`, `inputTokens`, `outputTokens` and `latencyMs` of the call
+   * @protected
+   */
+  reportUsage(options, usage) {
+    this.lastUsage = { provider: this.constructor.getProviderName(), ...usage };
+    if (options.usageTracker) {
+      options.usageTracker.record(this.lastUsage);
+    }
+  }
+
   /**
    * Check if the required API key for this LLM provider is configured
    * Each provider should implement its own logic for checking API keys
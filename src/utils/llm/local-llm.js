@@ -0,0 +1,194 @@
+import process from 'process';
+import { LLMInterface, createProviderError } from './llm-interface.js';
+
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_LOCAL_MODEL = 'llama3.1';
+
+/**
+ * Self-hosted LLM implementation of the LLM interface
+ * Talks to any server with an OpenAI-compatible chat completions endpoint, such as
+ * Ollama, llama.cpp server or vLLM, so documents never leave the machine or network.
+ * Uses the 'openai' package as the HTTP client.
+ *
+ * Configured with options or environment variables:
+ *   LOCAL_LLM_BASE_URL  - The server's OpenAI-compatible API (default http://localhost:11434/v1, Ollama)
+ *   LOCAL_LLM_MODEL     - The model to use (default llama3.1)
+ *   LOCAL_LLM_API_KEY   - API key, for servers that require one
+ *   LOCAL_LLM_JSON_MODE - Set to false if the server doesn't support response_format json_object
+ */
+export class LocalLLM extends LLMInterface {
+  constructor(options = {}) {
+    super();
+    this.baseURL = (options.baseURL || process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '');
+    this.model = options.model || process.env.LOCAL_LLM_MODEL || DEFAULT_LOCAL_MODEL;
+    // Local servers usually accept any key, but the client needs one
+    this.apiKey = options.apiKey || process.env.LOCAL_LLM_API_KEY || 'not-needed';
+    this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
+    this.maxTokens = options.maxTokens || 4096;
+    this.jsonMode = options.jsonMode !== undefined ? options.jsonMode : process.env.LOCAL_LLM_JSON_MODE !== 'false';
+
+    // The client is created on first use, as nothing needs to be checked up front
+    this.client = null;
+  }
+
+  /**
+   * Check the local provider is configured
+   * No API key is needed, so this only reports the endpoint that will be used.
+   * Use checkHealth() to check the server is running.
+   * @returns {Object} - Result of the check with success flag
+   */
+  static checkAPIKey() {
+    const baseURL = process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL;
+    const model = process.env.LOCAL_LLM_MODEL || DEFAULT_LOCAL_MODEL;
+
+    if (!/^https?:\/\//.test(baseURL)) {
+      console.error(`❌ LOCAL_LLM_BASE_URL is not an http(s) URL: ${baseURL}`);
+      return {
+        success: false,
+        error: 'LOCAL_LLM_BASE_URL must start with http:// or https://'
+      };
+    }
+
+    console.log(`✅ No API key required for the local provider. Using ${model} at ${baseURL}`);
+    if (!process.env.LOCAL_LLM_BASE_URL) {
+      console.log('  Set LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL to use a different server or model.');
+    }
+
+    return {
+      success: true,
+      message: `Local provider configured for ${model} at ${baseURL}`
+    };
+  }
+
+  /**
+   * Get the provider name
+   * @returns {string} - Name of this provider
+   */
+  static getProviderName() {
+    return "Local";
+  }
+
+  /**
+   * Initialize the client for the local server
+   * @private
+   */
+  async initializeClient() {
+    try {
+      const { OpenAI } = await import('openai');
+
+      // Retries are left to ResilientLLM, which the factory wraps every provider in
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        maxRetries: 0
+      });
+    } catch (error) {
+      console.error('Error initializing local LLM client:', error.message);
+      throw new Error(`Failed to initialize local LLM client. Make sure the 'openai' package is installed: npm install openai`);
+    }
+  }
+
+  /**
+   * Check the local server is running and has the configured model
+   * @returns {Promise<Object>} - Result with success flag, the `models` the server offers and an error message if it failed
+   */
+  async checkHealth() {
+    if (!this.client) {
+      await this.initializeClient();
+    }
+
+    let models;
+    try {
+      const response = await this.client.models.list();
+      models = (response.data || []).map(model => model.id);
+    } catch (error) {
+      return {
+        success: false,
+        models: [],
+        error: `Could not reach the local LLM server at ${this.baseURL}: ${error.message}`
+      };
+    }
+
+    // Ollama lists models with their tag (llama3.1:latest), which it also accepts without
+    const hasModel = models.some(id => id === this.model || id === `${this.model}:latest`);
+    if (!hasModel) {
+      return {
+        success: false,
+        models,
+        error: `The server at ${this.baseURL} doesn't have the model ${this.model}. Available models: ${models.join(', ') || 'none'}`
+      };
+    }
+
+    return { success: true, models, message: `${this.model} is available at ${this.baseURL}` };
+  }
+
+  /**
+   * Generate a response from the local model
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Options for the call
+   * @param {string} options.systemPrompt - Instructions sent as the system message
+   * @param {string|Object} options.responseFormat - 'json' to ask for a JSON object, if the server supports it
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<string>} - The model response
+   */
+  async generateResponse(prompt, options = {}) {
+    if (!this.client) {
+      await this.initializeClient();
+    }
+
+    const requestOptions = {
+      model: options.model || this.model,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      messages: [
+        ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+        { role: 'user', content: prompt }
+      ]
+    };
+
+    const wantsJSON = options.responseFormat === 'json' ||
+      (options.responseFormat && options.responseFormat.type === 'json_object');
+    if (wantsJSON && this.jsonMode) {
+      requestOptions.response_format = { type: 'json_object' };
+    }
+
+    this.checkBudget(prompt, options, requestOptions.model, requestOptions.max_tokens);
+    const started = Date.now();
+    
+    let response;
+    try {
+      response = await this.client.chat.completions.create(requestOptions, { signal: options.signal });
+    } catch (error) {
+      // Older servers reject response_format, so stop asking for it and try again
+      if (requestOptions.response_format && (error.status === 400 || error.status === 422)) {
+        console.warn(`⚠️  The local LLM server rejected JSON mode (${error.message}). Retrying without it.`);
+        this.jsonMode = false;
+        return this.generateResponse(prompt, options);
+      }
+
+      console.error('Error generating response from local LLM:', error.message);
+      throw createProviderError(`Local LLM error at ${this.baseURL}: ${error.message}`, error);
+    }
+
+    this.reportUsage(options, {
+      model: requestOptions.model,
+      inputTokens: response.usage ? response.usage.prompt_tokens : 0,
+      outputTokens: response.usage ? response.usage.completion_tokens : 0,
+      latencyMs: Date.now() - started
+    });
+    
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('Invalid response format: no message content in the response');
+    }
+
+    // A response cut off by the token limit can't be used (see AnthropicLLM)
+    if (choice.finish_reason === 'length') {
+      const error = new Error(`Local LLM response was truncated at max_tokens (${requestOptions.max_tokens}). Increase maxTokens to allow a longer response`);
+      error.stopReason = 'max_tokens';
+      throw error;
+    }
+
+    return choice.message.content;
+  }
+}
@@ -1,4 +1,5 @@
 import { LLMInterface } from './llm-interface.js';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 
@@ -13,6 +14,8 @@ export class MockLLM extends LLMInterface {
     this.defaultResponse = options.defaultResponse || null;
     this.recordMode = options.recordMode || false;
     this.recordDir = options.recordDir || null;
+    // The real LLM to record responses from, unless one is given with each call
+    this.realLLM = options.realLLM || null;
   }
 
   /**
@@ -46,16 +49,24 @@ export class MockLLM extends LLMInterface {
     
     // If we have a direct mock for this prompt, return it
     if (this.mockResponses[prompt]) {
+      this.reportUsage(options, { model: 'mock', inputTokens: 0, outputTokens: 0, latencyMs: 0 });
       return this.mockResponses[prompt];
     }
     
     // If we're in record mode and have a real LLM configured, record the response
-    if (this.recordMode && options.realLLM && this.recordDir) {
-      const response = await options.realLLM.generateResponse(prompt, options);
+    // (the real LLM reports the usage of the call)
+    const realLLM = options.realLLM || this.realLLM;
+    if (this.recordMode && realLLM && this.recordDir) {
+      const realOptions = { ...options };
+      delete realOptions.realLLM;
+      const response = await realLLM.generateResponse(prompt, realOptions);
       this.recordResponse(prompt, response);
       return response;
     }
     
+    // The mock costs nothing, but its calls are counted like any other
+    this.reportUsage(options, { model: 'mock', inputTokens: 0, outputTokens: 0, latencyMs: 0 });
+    
     // Return the default response if no specific mock is found
     if (this.defaultResponse) {
       return this.defaultResponse;
@@ -85,8 +96,8 @@ export class MockLLM extends LLMInterface {
     if (!this.recordDir) return;
     
     try {
-      // Create a hash of the prompt to use as a filename
-      const hash = Buffer.from(prompt).toString('base64').substring(0, 20);
+      // Name the file by a hash of the whole prompt, as prompts share the same opening
+      const hash = crypto.createHash('sha256').update(prompt).digest('hex');
       const filename = `mock_response_${hash}.json`;
       const filePath = path.join(this.recordDir, filename);
       
@@ -1,4 +1,5 @@
-import { LLMInterface } from './llm-interface.js';
+import { LLMInterface, createProviderError } from './llm-interface.js';
+import { toOpenAIResponseFormat } from './structured-output.js';
 
 /**
  * OpenAI API implementation of the LLM interface
@@ -10,7 +11,9 @@ export class OpenAILLM extends LLMInterface {
     this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
     this.model = options.model || 'gpt-4o';
     this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
-    this.maxTokens = options.maxTokens || 2048;
+    this.maxTokens = options.maxTokens || 4096;
+    // Constrain JSON responses to the JSON schema given with the call, on models that support it
+    this.structuredOutputs = options.structuredOutputs !== false;
     
     // Dynamically import OpenAI to avoid requiring it as a direct dependency
     this.openai = null;
@@ -76,8 +79,10 @@ static getProviderName() {
         throw new Error('OpenAI API key is required. Set it in the constructor options or as OPENAI_API_KEY environment variable.');
       }
       
+      // Retries are left to ResilientLLM, which the factory wraps every provider in
       this.openai = new OpenAI({
-        apiKey: this.apiKey
+        apiKey: this.apiKey,
+        maxRetries: 0
       });
       
     } catch (error) {
@@ -88,8 +93,16 @@ static getProviderName() {
 
   /**
    * Generate a response from OpenAI
+   * JSON responses are constrained to `jsonSchema` when one is given (structured outputs),
+   * and use JSON mode otherwise. Models that don't support structured outputs fall back to JSON mode.
+   * A response cut off by `max_tokens` is an error, as a truncated answer (especially
+   * truncated JSON) can't be used; raise `maxTokens` to allow longer responses.
    * @param {string} prompt - The prompt to send to OpenAI
    * @param {Object} options - Options for the OpenAI call
+   * @param {string} options.responseFormat - 'json' to ask for a JSON object
+   * @param {Object} options.jsonSchema - JSON schema a JSON response must match
+   * @param {string} options.toolName - Name of the schema sent with it
+   * @param {AbortSignal} options.signal - Cancels the request
    * @returns {Promise<string>} - The OpenAI response
    */
   async generateResponse(prompt, options = {}) {
@@ -98,31 +111,59 @@ static getProviderName() {
       await this.initializeOpenAI();
     }
     
+    // Create the request with all parameters
+    const requestOptions = {
+      model: options.model || this.model,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      messages: [
+        { role: 'system', content: options.systemPrompt || 'You are a helpful assistant.' },
+        { role: 'user', content: prompt }
+      ]
+    };
+    
+    // Add response format if specified
+    if (options.responseFormat === 'json') {
+      requestOptions.response_format = options.jsonSchema && this.structuredOutputs
+        ? toOpenAIResponseFormat(options.jsonSchema, options.toolName)
+        : { type: 'json_object' };
+    }
+    
+    let response;
     try {
-      // Create the request with all parameters
-      const requestOptions = {
-        model: options.model || this.model,
-        temperature: options.temperature !== undefined ? options.temperature : this.temperature,
-        max_tokens: options.maxTokens || this.maxTokens,
-        messages: [
-          { role: 'system', content: options.systemPrompt || 'You are a helpful assistant.' },
-          { role: 'user', content: prompt }
-        ]
-      };
-      
-      // Add response format if specified
-      if (options.responseFormat === 'json') {
-        requestOptions.response_format = { type: 'json_object' };
-      }
-      
       // Call the OpenAI API
-      const response = await this.openai.chat.completions.create(requestOptions);
+      this.checkBudget(prompt, options, requestOptions.model, requestOptions.max_tokens);
+      const started = Date.now();
+      response = await this.openai.chat.completions.create(requestOptions, { signal: options.signal });
       
-      // Return the response content
-      return response.choices[0].message.content;
+      this.reportUsage(options, {
+        model: response.model || requestOptions.model,
+        inputTokens: response.usage ? response.usage.prompt_tokens : 0,
+        outputTokens: response.usage ? response.usage.completion_tokens : 0,
+        latencyMs: Date.now() - started
+      });
     } catch (error) {
+      if (error.budgetExceeded) throw error;
+      
+      // Older models reject json_schema response formats, so use JSON mode instead
+      if (error.status === 400 && requestOptions.response_format && requestOptions.response_format.type === 'json_schema') {
+        console.warn(`⚠️  ${requestOptions.model} rejected the JSON schema (${error.message}). Retrying in JSON mode.`);
+        this.structuredOutputs = false;
+        return this.generateResponse(prompt, options);
+      }
+      
       console.error('Error generating response from OpenAI:', error);
-      throw new Error(`OpenAI API error: ${error.message}`);
+      throw createProviderError(`OpenAI API error: ${error.message}`, error);
     }
+    
+    // A response cut off by the token limit can't be used (see AnthropicLLM)
+    if (response.choices[0].finish_reason === 'length') {
+      const error = new Error(`OpenAI response was truncated at max_tokens (${requestOptions.max_tokens}). Increase maxTokens to allow a longer response`);
+      error.stopReason = 'max_tokens';
+      throw error;
+    }
+    
+    // Return the response content
+    return response.choices[0].message.content;
   }
 }
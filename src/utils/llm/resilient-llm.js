@@ -0,0 +1,315 @@
+import { LLMInterface } from './llm-interface.js';
+
+/**
+ * Retries, timeouts and rate limits for LLM providers
+ * The factory wraps every provider it creates in a ResilientLLM, so a rate limit
+ * or a dropped connection part way through a long run is retried instead of
+ * failing the document. Instances of the same provider share a RequestLimiter,
+ * which keeps the number of requests in flight and per minute within the limits.
+ */
+
+export const DEFAULT_RESILIENCE = {
+  // Retries after the first attempt
+  maxRetries: 3,
+  // Delay before the first retry, doubled (backoffFactor) for each retry after it
+  initialDelayMs: 1000,
+  backoffFactor: 2,
+  maxDelayMs: 30000,
+  // Share of each delay that is random, so clients that failed together don't retry together
+  jitter: 0.5,
+  // Time allowed for each attempt
+  timeoutMs: 300000,
+  // Requests in flight at once and requests started per minute, per provider (null for no limit)
+  maxConcurrency: 4,
+  requestsPerMinute: null,
+  // Log every attempt, not just the failed ones
+  verbose: false
+};
+
+// HTTP statuses worth trying again: timeouts, conflicts, rate limits, and server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network error codes worth trying again
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+const MINUTE_MS = 60000;
+
+/**
+ * Wait for a time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check if a failed LLM call is worth trying again
+ * Rate limits, server errors, timeouts and network failures are; bad requests,
+ * authentication failures, truncated responses and unparseable JSON aren't, as
+ * the same request would fail the same way.
+ * @param {Error} error - The error thrown by the provider
+ * @returns {boolean} - True if the call should be retried
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (error.stopReason === 'max_tokens' || error instanceof SyntaxError) return false;
+  if (error.timeout) return true;
+
+  const status = error.status || (error.cause && error.cause.status);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code && RETRYABLE_CODES.includes(code)) return true;
+
+  // The SDKs report a dropped connection without a status or code
+  return /connection error|network|socket hang up|fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Get the delay asked for by the Retry-After (or retry-after-ms) header of a failed call
+ * @param {Error} error - The error thrown by the provider, with the response `headers`
+ * @returns {number|null} - Milliseconds to wait, or null if the server didn't say
+ */
+export function getRetryAfter(error) {
+  const headers = error && (error.headers || (error.cause && error.cause.headers));
+  if (!headers) return null;
+
+  const getHeader = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return Math.max(retryAfterMs, 0);
+
+  const retryAfter = getHeader('retry-after');
+  if (retryAfter === null || retryAfter === undefined) return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Get the delay before a retry, growing exponentially with some of it random
+ * @param {number} retry - The number of the retry, from 1
+ * @param {Object} settings - The resilience settings
+ * @returns {number} - Milliseconds to wait
+ */
+export function getBackoffDelay(retry, settings = DEFAULT_RESILIENCE) {
+  const delay = Math.min(settings.initialDelayMs * Math.pow(settings.backoffFactor, retry - 1), settings.maxDelayMs);
+  return Math.round(delay * (1 - settings.jitter * Math.random()));
+}
+
+/**
+ * Limits the requests made to a provider, shared by every instance of that provider
+ */
+export class RequestLimiter {
+  /**
+   * @param {Object} options - The limits
+   * @param {number} options.maxConcurrency - Requests in flight at once (null for no limit)
+   * @param {number} options.requestsPerMinute - Requests started in any minute (null for no limit)
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || null;
+    this.requestsPerMinute = options.requestsPerMinute || null;
+    this.active = 0;
+    this.waiting = [];
+    this.startTimes = [];
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait until a request can be made, then count it as in flight
+   * Call release() when the request is finished.
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.maxConcurrency && this.active >= this.maxConcurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    // Hold the slot while waiting for the rate limit, so waiting requests keep their place
+    for (;;) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      if (this.requestsPerMinute) {
+        this.startTimes = this.startTimes.filter(time => time > now - MINUTE_MS);
+        if (this.startTimes.length >= this.requestsPerMinute) {
+          await sleep(this.startTimes[0] + MINUTE_MS - now);
+          continue;
+        }
+      }
+
+      this.startTimes.push(now);
+      return;
+    }
+  }
+
+  /**
+   * Finish a request, letting the next waiting request start
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      // The slot passes straight to the next request
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Hold back every request to the provider, e.g. when it asks clients to slow down
+   * @param {number} ms - Milliseconds to wait before the next request
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Wraps an LLM provider with retries, per-attempt timeouts and rate limits
+ * Failed attempts that are worth trying again are retried with exponential backoff
+ * and jitter, waiting at least as long as a Retry-After header asks. Every attempt
+ * is kept in `attempts` and failures are logged.
+ */
+export class ResilientLLM extends LLMInterface {
+  /**
+   * @param {Object} llm - The LLM instance to wrap
+   * @param {Object} options - Resilience settings (see DEFAULT_RESILIENCE)
+   * @param {string} options.provider - The provider name for log messages
+   * @param {RequestLimiter} options.limiter - The limiter shared with other instances of the provider
+   */
+  constructor(llm, options = {}) {
+    super();
+    this.llm = llm;
+    const { provider, limiter, ...settings } = options;
+    this.settings = { ...DEFAULT_RESILIENCE, ...settings };
+    this.provider = provider || llm.constructor.getProviderName();
+    this.limiter = limiter || new RequestLimiter(this.settings);
+    this.attempts = [];
+
+    // Only providers running on a server of your own have a health check
+    if (typeof llm.checkHealth === 'function') {
+      this.checkHealth = () => llm.checkHealth();
+    }
+  }
+
+  /**
+   * Get the provider name
+   * @returns {string} - Name of this provider
+   */
+  static getProviderName() {
+    return "Resilient";
+  }
+
+  /**
+   * Make one attempt at a call, failing it if it takes longer than the timeout
+   * A call that times out is cancelled through its AbortSignal. Its limiter slot is
+   * only given up once the call has finished, so a request the provider doesn't
+   * cancel still counts against the limit while it runs.
+   * @param {Function} call - Makes the call, given the AbortSignal that cancels it
+   * @returns {Promise<any>} - The response
+   * @private
+   */
+  async attempt(call) {
+    await this.limiter.acquire();
+
+    const controller = new AbortController();
+    const request = Promise.resolve().then(() => call(controller.signal));
+    request.then(() => this.limiter.release(), () => this.limiter.release());
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`${this.provider} request timed out after ${this.settings.timeoutMs / 1000}s`);
+          error.timeout = true;
+          controller.abort(error);
+          reject(error);
+        }, this.settings.timeoutMs);
+      });
+      return await Promise.race([request, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Make a call to the wrapped LLM, retrying the failures worth trying again
+   * @param {string} method - The method called, for the log
+   * @param {Function} call - Makes the call, given the AbortSignal that cancels it
+   * @returns {Promise<any>} - The response
+   * @private
+   */
+  async withRetries(method, call) {
+    const maxAttempts = this.settings.maxRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      if (this.settings.verbose) {
+        console.log(`${this.provider} ${method}: attempt ${attempt}/${maxAttempts}`);
+      }
+
+      try {
+        const response = await this.attempt(call);
+        this.attempts.push({ method, attempt, durationMs: Date.now() - started, success: true });
+        if (attempt > 1) {
+          console.log(`✅ ${this.provider} ${method} succeeded on attempt ${attempt}/${maxAttempts}`);
+        }
+        return response;
+      } catch (error) {
+        const retryable = isRetryableError(error);
+        const record = { method, attempt, durationMs: Date.now() - started, success: false, error: error.message };
+        this.attempts.push(record);
+
+        if (!retryable || attempt >= maxAttempts) {
+          if (retryable) {
+            console.error(`❌ ${this.provider} ${method} failed after ${attempt} attempt(s): ${error.message}`);
+          }
+          throw error;
+        }
+
+        // Wait at least as long as the server asked, and hold back the provider's other requests too
+        const retryAfter = getRetryAfter(error);
+        const delay = Math.max(getBackoffDelay(attempt, this.settings), retryAfter || 0);
+        if (retryAfter !== null) {
+          this.limiter.pause(retryAfter);
+        }
+        record.delayMs = delay;
+
+        console.warn(`⚠️  ${this.provider} ${method} attempt ${attempt}/${maxAttempts} failed (${error.message}). Retrying in ${(delay / 1000).toFixed(1)}s${retryAfter !== null ? ' as asked by Retry-After' : ''}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a prompt to the wrapped LLM, retrying if it fails
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Optional parameters for the LLM call
+   * @returns {Promise<string>} - The LLM response
+   */
+  async generateResponse(prompt, options = {}) {
+    return this.withRetries('generateResponse', signal => this.llm.generateResponse(prompt, { ...options, signal }));
+  }
+
+  /**
+   * Generate a JSON response from the wrapped LLM, retrying if it fails
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - Optional parameters for the LLM call
+   * @returns {Promise<Object>} - The parsed JSON response
+   */
+  async generateJSON(prompt, options = {}) {
+    return this.withRetries('generateJSON', signal => this.llm.generateJSON(prompt, { ...options, signal }));
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Structured output definitions derived from a JSON schema
+ * The schema files in src/schemas are what extracted data is validated against.
+ * These helpers turn a schema into the form each provider constrains its output
+ * with (an OpenAI json_schema response format, a Claude tool input schema) and
+ * into the schema text embedded in prompts, so the model is held to the same
+ * schema the output is checked with. Properties marked `readOnly` are filled in
+ * after extraction, so the model is never asked for them.
+ */
+
+// Keywords OpenAI's strict mode doesn't accept. The output is still validated against them afterwards
+const UNSUPPORTED_STRICT_KEYWORDS = ['$schema', 'if', 'then', 'else'];
+
+/**
+ * Copy a schema without some of its keywords
+ * @param {Object} schema - The schema
+ * @param {Array<string>} keywords - The keywords to leave out
+ * @returns {Object} - The copy
+ * @private
+ */
+function withoutKeywords(schema, keywords) {
+  return Object.fromEntries(Object.entries(schema).filter(([keyword]) => !keywords.includes(keyword)));
+}
+
+/**
+ * Get the schema a `#/definitions/...` reference points to
+ * @param {Object} root - The schema holding the definitions
+ * @param {string} ref - The reference
+ * @returns {Object} - The referenced schema
+ * @private
+ */
+function resolveRef(root, ref) {
+  const name = ref.replace('#/definitions/', '');
+  if (!root.definitions || !root.definitions[name]) {
+    throw new Error(`Schema reference ${ref} can't be resolved`);
+  }
+  return root.definitions[name];
+}
+
+/**
+ * Get the name of the definition a schema refers to
+ * @param {Object} schema - The schema
+ * @returns {string|null} - The definition name, or null if it isn't a reference
+ * @private
+ */
+function getRefName(schema) {
+  return schema && schema.$ref ? schema.$ref.replace('#/definitions/', '') : null;
+}
+
+/**
+ * Check if a schema is a map of values by key (e.g. citations by field name)
+ * @param {Object} schema - The schema
+ * @returns {boolean} - True for an object with no fixed properties and a schema for every value
+ * @private
+ */
+function isMap(schema) {
+  return schema.type === 'object' && !schema.properties &&
+    Boolean(schema.additionalProperties) && typeof schema.additionalProperties === 'object';
+}
+
+/**
+ * Check if a schema allows null
+ * @param {Object} schema - The schema
+ * @param {Object} root - The schema holding the definitions
+ * @returns {boolean} - True if null is a valid value
+ * @private
+ */
+function allowsNull(schema, root) {
+  if (schema.$ref) return allowsNull(resolveRef(root, schema.$ref), root);
+  if (schema.anyOf) return schema.anyOf.some(branch => allowsNull(branch, root));
+  if (schema.enum) return schema.enum.includes(null);
+  return [].concat(schema.type || []).includes('null');
+}
+
+/**
+ * Make a schema allow null as well
+ * @param {Object} schema - The schema
+ * @param {Object} root - The schema holding the definitions
+ * @returns {Object} - The schema, allowing null
+ * @private
+ */
+function makeNullable(schema, root) {
+  if (allowsNull(schema, root)) return schema;
+  if (schema.anyOf) return { ...schema, anyOf: [...schema.anyOf, { type: 'null' }] };
+  if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+
+  return {
+    ...schema,
+    type: [...[].concat(schema.type), 'null'],
+    ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+  };
+}
+
+/**
+ * Remove the properties marked readOnly, and the definitions no longer referenced
+ * @param {Object} schema - The schema
+ * @returns {Object} - The schema of what the model should return
+ */
+export function removeReadOnly(schema) {
+  const strip = node => {
+    if (Array.isArray(node)) return node.map(strip);
+    if (!node || typeof node !== 'object') return node;
+
+    return Object.fromEntries(Object.entries(node).map(([keyword, value]) => {
+      if (keyword === 'properties') {
+        return [keyword, Object.fromEntries(Object.entries(value)
+          .filter(([, property]) => !property.readOnly)
+          .map(([name, property]) => [name, strip(property)]))];
+      }
+      return [keyword, strip(value)];
+    }));
+  };
+
+  const stripped = strip(schema);
+  if (!stripped.definitions) return stripped;
+
+  // Keep the definitions still referenced, directly or through another definition
+  const used = new Set();
+  const collect = node => {
+    if (Array.isArray(node)) return node.forEach(collect);
+    if (!node || typeof node !== 'object') return;
+
+    const name = getRefName(node);
+    if (name && !used.has(name)) {
+      used.add(name);
+      collect(stripped.definitions[name]);
+    }
+    Object.entries(node).forEach(([keyword, value]) => keyword !== 'definitions' && collect(value));
+  };
+  collect(stripped);
+
+  stripped.definitions = Object.fromEntries(Object.entries(stripped.definitions).filter(([name]) => used.has(name)));
+  return stripped;
+}
+
+/**
+ * Convert a schema to the subset OpenAI's strict mode accepts
+ * Every property must be required and no others allowed, so optional properties
+ * are made nullable instead (see removeDisallowedNulls). Maps (e.g. citations by
+ * field name) can't have open keys, so they are given a property for each field
+ * of the object they belong to.
+ * @param {Object} schema - The schema
+ * @param {Object} root - The schema holding the definitions (defaults to the schema)
+ * @param {Array<string>} fields - The fields of the object the schema belongs to, the keys of a map
+ * @returns {Object} - The strict schema
+ */
+export function toStrictSchema(schema, root = schema, fields = []) {
+  const strict = withoutKeywords(schema, UNSUPPORTED_STRICT_KEYWORDS);
+
+  if (strict.definitions) {
+    strict.definitions = Object.fromEntries(Object.entries(strict.definitions)
+      .map(([name, definition]) => [name, toStrictSchema(definition, root)]));
+  }
+
+  if (strict.properties) {
+    const required = strict.required || [];
+    const names = Object.keys(strict.properties);
+    // The fields a map inside this object can be keyed by: its values, not its other maps or id
+    const mapKeys = names.filter(name => name !== 'id' && !isMap(strict.properties[name]));
+
+    strict.properties = Object.fromEntries(names.map(name => {
+      const property = toStrictSchema(strict.properties[name], root, mapKeys);
+      return [name, required.includes(name) ? property : makeNullable(property, root)];
+    }));
+    strict.required = names;
+    strict.additionalProperties = false;
+  } else if (isMap(strict)) {
+    const value = makeNullable(toStrictSchema(strict.additionalProperties, root), root);
+    strict.properties = Object.fromEntries(fields.map(field => [field, value]));
+    strict.required = [...fields];
+    strict.additionalProperties = false;
+  }
+
+  if (strict.items) strict.items = toStrictSchema(strict.items, root);
+  if (strict.anyOf) strict.anyOf = strict.anyOf.map(branch => toStrictSchema(branch, root));
+
+  return strict;
+}
+
+/**
+ * Get the OpenAI response format that constrains the output to a schema
+ * @param {Object} schema - The JSON schema of the response object
+ * @param {string} name - The name of the schema (letters, digits, _ and -)
+ * @returns {Object} - The json_schema response_format to send
+ */
+export function toOpenAIResponseFormat(schema, name = 'response') {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name,
+      strict: true,
+      schema: toStrictSchema(removeReadOnly(schema))
+    }
+  };
+}
+
+/**
+ * Get the Claude tool whose input is the response, constrained to a schema
+ * @param {Object} schema - The JSON schema of the response object
+ * @param {string} name - The tool name
+ * @param {string} description - What the tool is for
+ * @returns {Object} - The tool definition to send
+ */
+export function toAnthropicTool(schema, name, description) {
+  return {
+    name,
+    description,
+    input_schema: withoutKeywords(removeReadOnly(schema), ['$schema'])
+  };
+}
+
+/**
+ * Pick the branch of a schema that applies to a value, following references and anyOf
+ * @param {Object} schema - The schema
+ * @param {Object} root - The schema holding the definitions
+ * @param {any} value - The value
+ * @returns {Object} - The schema for the value
+ * @private
+ */
+function resolveSchemaFor(schema, root, value) {
+  const resolved = schema.$ref ? resolveRef(root, schema.$ref) : schema;
+  if (!resolved.anyOf) return resolved;
+
+  const kind = Array.isArray(value) ? 'array' : typeof value;
+  const branch = resolved.anyOf
+    .map(item => resolveSchemaFor(item, root, value))
+    .find(item => [].concat(item.type || []).includes(kind) || (kind === 'object' && (item.properties || item.additionalProperties)));
+  return branch || resolved;
+}
+
+/**
+ * Remove the null values a strict schema made the model give for optional
+ * properties that can't be null, so the output validates against the original schema
+ * @param {any} value - The model output
+ * @param {Object} schema - The original schema
+ * @param {Object} root - The schema holding the definitions (defaults to the schema)
+ * @returns {any} - The output without those nulls
+ */
+export function removeDisallowedNulls(value, schema, root = schema) {
+  if (value === null || typeof value !== 'object') return value;
+
+  const resolved = resolveSchemaFor(schema, root, value);
+  if (Array.isArray(value)) {
+    return resolved.items ? value.map(item => removeDisallowedNulls(item, resolved.items, root)) : value;
+  }
+
+  const required = resolved.required || [];
+  const cleaned = {};
+  for (const [key, item] of Object.entries(value)) {
+    const property = (resolved.properties && resolved.properties[key]) ||
+      (resolved.additionalProperties && typeof resolved.additionalProperties === 'object' ? resolved.additionalProperties : null);
+
+    if (!property) {
+      cleaned[key] = item;
+    } else if (item !== null || required.includes(key) || allowsNull(property, root)) {
+      cleaned[key] = removeDisallowedNulls(item, property, root);
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * Describe the type of a property for the schema text
+ * @param {Object} schema - The property schema
+ * @param {Object} root - The schema holding the definitions
+ * @returns {string} - e.g. "string or null", "array of event objects" or "one of Male, Female or null"
+ * @private
+ */
+function describeType(schema, root) {
+  const join = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0]);
+
+  if (schema.enum) return `one of ${join(schema.enum.map(value => (value === null ? 'null' : value)))}`;
+  if (schema.$ref) return `${getRefName(schema)} object`;
+  if (schema.anyOf) return join(schema.anyOf.map(branch => describeType(branch, root)));
+  if (isMap(schema)) return `object of ${describeType(schema.additionalProperties, root)}s by field name`;
+  if (schema.type === 'array') return schema.items ? `array of ${describeType(schema.items, root)}s` : 'array';
+
+  return join([].concat(schema.type || 'any'));
+}
+
+/**
+ * Describe the constraints on a property's value for the schema text
+ * @param {Object} schema - The property schema
+ * @returns {Array<string>} - e.g. "from 1864 to 1887" or "matching ^\d{4}$"
+ * @private
+ */
+function describeConstraints(schema) {
+  const constraints = [];
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    constraints.push(`from ${schema.minimum} to ${schema.maximum}`);
+  } else if (schema.minimum !== undefined) {
+    constraints.push(`at least ${schema.minimum}`);
+  } else if (schema.maximum !== undefined) {
+    constraints.push(`at most ${schema.maximum}`);
+  }
+  if (schema.pattern) constraints.push(`matching ${schema.pattern}`);
+  return constraints;
+}
+
+/**
+ * Describe the properties of an object schema, one per line
+ * @param {Object} schema - The object schema
+ * @param {Object} root - The schema holding the definitions
+ * @returns {string} - The properties as a JSON-like object of descriptions
+ * @private
+ */
+function describeObject(schema, root) {
+  const required = schema.required || [];
+  const lines = Object.entries(schema.properties || {}).map(([name, property]) => {
+    const details = [describeType(property, root), ...describeConstraints(property)];
+    if (required.includes(name)) details.push('required');
+    const text = property.description ? `${property.description} (${details.join(', ')})` : details.join(', ');
+    return `  ${JSON.stringify(name)}: ${JSON.stringify(text)}`;
+  });
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * Describe a schema as text for a prompt
+ * The response object is described first, then each object it refers to, with
+ * every property's description, type, allowed values and constraints.
+ * @param {Object} schema - The JSON schema of the response object
+ * @returns {string} - The schema text
+ */
+export function describeSchema(schema) {
+  const root = removeReadOnly(schema);
+  const sections = [`The response object:\n${describeObject(root, root)}`];
+
+  // Describe each definition after the first object that refers to it
+  const described = new Set();
+  const queue = [root];
+  while (queue.length > 0) {
+    const refs = [];
+    const collect = node => {
+      if (Array.isArray(node)) return node.forEach(collect);
+      if (!node || typeof node !== 'object') return;
+      const name = getRefName(node);
+      if (name) refs.push(name);
+      Object.entries(node).forEach(([keyword, value]) => keyword !== 'definitions' && collect(value));
+    };
+    collect(queue.shift());
+
+    for (const name of refs) {
+      if (described.has(name)) continue;
+      described.add(name);
+
+      const definition = resolveRef(root, name);
+      const summary = definition.description ? ` ${definition.description}` : '';
+      sections.push(`Each ${name} object:${summary}\n${describeObject(definition, root)}`);
+      queue.push(definition);
+    }
+  }
+
+  return sections.join('\n\n');
+}
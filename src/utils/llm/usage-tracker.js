@@ -0,0 +1,187 @@
+/**
+ * Token usage and cost accounting for LLM calls
+ * Providers report the tokens, model and latency of each call to the UsageTracker
+ * passed in the call options as `usageTracker`. The tracker prices the tokens from
+ * the pricing table, and can stop a run before it spends more than its budget.
+ */
+
+// Estimated US dollars per million tokens, by model name prefix. Provider prices
+// change, so check them against the provider's pricing page before relying on costs.
+export const MODEL_PRICING = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Providers that cost nothing per token, whatever the model
+const FREE_PROVIDERS = ['Mock', 'Local'];
+
+/**
+ * Get the price of a model, matching the longest prefix so dated versions
+ * (e.g. claude-3-opus-20240229) use the price of their model
+ * @param {string} model - The model name
+ * @param {Object} pricing - The pricing table (defaults to MODEL_PRICING)
+ * @returns {Object|null} - The `input` and `output` price per million tokens, or null if the model isn't priced
+ */
+export function getModelPricing(model, pricing = MODEL_PRICING) {
+  if (!model) return null;
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {Object} usage - The `provider`, `model`, `inputTokens` and `outputTokens` of the call
+ * @param {Object} pricing - The pricing table (defaults to MODEL_PRICING)
+ * @returns {number|null} - The cost in US dollars, or null if the model isn't priced
+ */
+export function estimateCost(usage, pricing = MODEL_PRICING) {
+  if (FREE_PROVIDERS.includes(usage.provider) || usage.cached) return 0;
+
+  const price = getModelPricing(usage.model, pricing);
+  if (!price) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+}
+
+/**
+ * Round a cost to a hundredth of a cent for display and output files
+ * @param {number} cost - The cost in US dollars
+ * @returns {number} - The rounded cost
+ * @private
+ */
+function roundCost(cost) {
+  return Math.round(cost * 10000) / 10000;
+}
+
+/**
+ * Collects the usage of LLM calls and keeps it within a budget
+ * A tracker can have a parent (e.g. a document's tracker within a batch's), which
+ * records every call too and whose budget is checked as well.
+ */
+export class UsageTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.budget - The most to spend in US dollars (no limit if not given)
+   * @param {Object} options.pricing - Prices to use instead of, or as well as, MODEL_PRICING
+   * @param {UsageTracker} options.parent - A tracker to record every call in too
+   */
+  constructor(options = {}) {
+    this.budget = options.budget !== undefined && options.budget !== null ? options.budget : null;
+    this.pricing = { ...MODEL_PRICING, ...options.pricing };
+    this.parent = options.parent || null;
+    this.calls = [];
+    this.budgetExceeded = false;
+  }
+
+  /**
+   * Record the usage of one call
+   * @param {Object} usage - The call's `provider`, `model`, `inputTokens`, `outputTokens`, `latencyMs`
+   * and whether it was answered from the cache (`cached`)
+   * @returns {Object} - The recorded call, with its estimated `cost` (null if the model isn't priced)
+   */
+  record(usage) {
+    const call = {
+      provider: usage.provider,
+      model: usage.model || null,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      latencyMs: usage.latencyMs || 0,
+      cached: Boolean(usage.cached)
+    };
+    call.cost = estimateCost(call, this.pricing);
+    this.calls.push(call);
+
+    if (this.parent) {
+      this.parent.record(usage);
+    }
+    return call;
+  }
+
+  /**
+   * Get the estimated cost of the calls recorded so far
+   * @returns {number} - The cost in US dollars, leaving out models that aren't priced
+   */
+  getCost() {
+    return this.calls.reduce((sum, call) => sum + (call.cost || 0), 0);
+  }
+
+  /**
+   * Stop a call that could take the spending over the budget
+   * The call is priced at its prompt (about 4 characters a token) and the most
+   * output it could return, so the budget isn't overspent by the call itself.
+   * A model with no price can't be kept within a budget, so its calls are stopped too.
+   * @param {Object} call - The `provider`, `model`, `inputTokens` and most `outputTokens` of the call
+   * @throws {Error} - With `budgetExceeded: true`, if the call could go over the budget or its model isn't priced
+   */
+  checkBudget(call) {
+    if (this.budget !== null) {
+      const spent = this.getCost();
+      const worstCase = estimateCost(call, this.pricing);
+      if (worstCase === null) {
+        this.budgetExceeded = true;
+        const error = new Error(`Stopping before a ${call.model || call.provider} call: the model has no price, so its cost can't be kept within the $${this.budget} budget. Add its price with the pricing option, or run without a budget`);
+        error.budgetExceeded = true;
+        throw error;
+      }
+      if (spent + worstCase > this.budget) {
+        this.budgetExceeded = true;
+        const error = new Error(`Stopping before a ${call.model || call.provider} call that could cost up to $${roundCost(worstCase)}: $${roundCost(spent)} of the $${this.budget} budget has been spent`);
+        error.budgetExceeded = true;
+        throw error;
+      }
+    }
+
+    if (this.parent) {
+      try {
+        this.parent.checkBudget(call);
+      } catch (error) {
+        this.budgetExceeded = true;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Summarise the calls recorded so far
+   * @returns {Object} - The totals of `calls`, `cachedCalls`, tokens, `latencyMs` and `cost`, the same by
+   * model in `byModel`, the `unpricedModels` left out of the cost, and the `budget` and whether it stopped a call
+   */
+  getSummary() {
+    const byModel = {};
+    const unpricedModels = new Set();
+
+    for (const call of this.calls) {
+      const name = call.model || call.provider;
+      const totals = byModel[name] || (byModel[name] = { provider: call.provider, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+      totals.calls++;
+      totals.inputTokens += call.inputTokens;
+      totals.outputTokens += call.outputTokens;
+      totals.cost += call.cost || 0;
+      if (call.cost === null) unpricedModels.add(name);
+    }
+    Object.values(byModel).forEach(totals => { totals.cost = roundCost(totals.cost); });
+
+    return {
+      calls: this.calls.length,
+      cachedCalls: this.calls.filter(call => call.cached).length,
+      inputTokens: this.calls.reduce((sum, call) => sum + call.inputTokens, 0),
+      outputTokens: this.calls.reduce((sum, call) => sum + call.outputTokens, 0),
+      latencyMs: this.calls.reduce((sum, call) => sum + call.latencyMs, 0),
+      cost: roundCost(this.getCost()),
+      byModel,
+      unpricedModels: [...unpricedModels],
+      budget: this.budget,
+      budgetExceeded: this.budgetExceeded
+    };
+  }
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+
+// Image types that can be run through OCR
+export const SUPPORTED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+
+// Whether the user has been told the language data will be downloaded
+let downloadWarned = false;
+
+/**
+ * Load an image in a form Tesseract can read
+ * Tesseract doesn't decode GIF, so GIFs are converted to PNG first
+ * @param {string} filePath - Path to the image
+ * @returns {Promise<string|Buffer>} - The file path, or a PNG buffer for GIFs
+ * @private
+ */
+async function loadImage(filePath) {
+  if (path.extname(filePath).toLowerCase() !== '.gif') {
+    return filePath;
+  }
+
+  try {
+    // Dynamically import Jimp to avoid requiring it unless a GIF is processed
+    const { default: Jimp } = await import('jimp');
+    const image = await Jimp.read(filePath);
+    return await image.getBufferAsync(Jimp.MIME_PNG);
+  } catch (error) {
+    console.error('Failed to convert GIF for OCR:', error.message);
+    console.log('Make sure you have installed the jimp package:');
+    console.log('  npm install jimp');
+
+    throw new Error(`Could not convert GIF image for OCR: ${error.message}`);
+  }
+}
+
+/**
+ * Make sure the language data for each requested language exists in a local directory
+ * @param {string} langPath - Local directory containing the language data
+ * @param {string} language - Tesseract language code(s), e.g. 'eng' or 'eng+lat'
+ * @private
+ */
+function checkLanguageData(langPath, language) {
+  for (const lang of language.split('+')) {
+    const candidates = [`${lang}.traineddata`, `${lang}.traineddata.gz`];
+    if (!candidates.some(candidate => fs.existsSync(path.join(langPath, candidate)))) {
+      throw new Error(`OCR language data for '${lang}' not found in ${langPath}`);
+    }
+  }
+}
+
+/**
+ * Run OCR over a scanned image and return the recognised text
+ * The language data is read from `langPath` (or the TESSERACT_LANG_PATH
+ * environment variable), a local copy of the `.traineddata` files that allows
+ * fully offline use. Without one it is downloaded from the Tesseract CDN, with a warning
+ * @param {string} filePath - Path to the image
+ * @param {Object} options - Options for OCR
+ * @param {string} options.language - Tesseract language code(s), e.g. 'eng'
+ * @param {string} options.langPath - Directory or URL containing the language data
+ * @returns {Promise<Object>} - The recognised text and Tesseract's mean confidence (0-100)
+ */
+export async function extractTextFromImage(filePath, options = {}) {
+  const language = options.language || process.env.TESSERACT_LANGUAGE || 'eng';
+  const langPath = options.langPath || process.env.TESSERACT_LANG_PATH;
+
+  let createWorker;
+  try {
+    // Dynamic import of Tesseract to avoid requiring it as a direct dependency
+    ({ createWorker } = await import('tesseract.js'));
+  } catch (error) {
+    console.error('Failed to load Tesseract OCR:', error.message);
+    console.log('Make sure you have installed the tesseract.js package:');
+    console.log('  npm install tesseract.js');
+
+    throw new Error('OCR initialization failed. See error above.');
+  }
+
+  const localData = langPath && !/^https?:/.test(langPath);
+  if (localData) {
+    checkLanguageData(langPath, language);
+  } else if (!langPath && !downloadWarned) {
+    console.warn(`⚠️  No local OCR language data given (--lang-path or TESSERACT_LANG_PATH), so '${language}' will be downloaded from the Tesseract CDN`);
+    downloadWarned = true;
+  }
+
+  const image = await loadImage(filePath);
+
+  // Tesseract never settles createWorker() when the language data fails to load, and
+  // the worker it started keeps the process running. The worker is started without
+  // languages and they are loaded afterwards, so a failure rejects and the worker is stopped
+  const worker = await createWorker([], 1, {
+    ...(langPath ? { langPath } : {}),
+    // Tesseract caches language data in the working directory, which local data doesn't need
+    ...(localData ? { cacheMethod: 'none' } : {}),
+    // Failures are reported through the rejected promise below
+    errorHandler: () => {}
+  });
+
+  try {
+    try {
+      await worker.reinitialize(language);
+    } catch (error) {
+      const hint = langPath ? '' : '. Download the .traineddata files and pass --lang-path=<dir> (or set TESSERACT_LANG_PATH) to work offline';
+      throw new Error(`Could not load OCR language data for '${language}' from ${langPath || 'the Tesseract CDN'} (${error})${hint}`);
+    }
+
+    const { data } = await worker.recognize(image);
+    return {
+      text: data.text,
+      confidence: data.confidence
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
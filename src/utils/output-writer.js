@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { getSearchNames } from './person/person-names.js';
+
+/**
+ * Get the path of the JSON output file for a processed document, e.g. "Young.docx.json"
+ * The output is saved in the same directory as the source document. The name keeps
+ * the document's extension, so Young.docx and Young.pdf don't overwrite each other's output
+ * @param {string} docPath - Path to the source document
+ * @returns {string} - Path to the JSON output file
+ */
+export function getOutputPath(docPath) {
+  return `${docPath}.json`;
+}
+
+/**
+ * Get the path older runs saved a document's output to, without the document's extension, e.g. "Young.json"
+ * @param {string} docPath - Path to the source document
+ * @returns {string} - Path to the old JSON output file
+ */
+export function getLegacyOutputPath(docPath) {
+  const outputDir = path.dirname(docPath);
+  const baseName = path.basename(docPath, path.extname(docPath));
+  return path.join(outputDir, `${baseName}.json`);
+}
+
+/**
+ * Get the path of the file holding the document text the model was given, e.g. "Young.docx.extracted.md"
+ * @param {string} docPath - Path to the source document
+ * @param {string} format - Format of the document text ('markdown' or 'text')
+ * @returns {string} - Path to the document text file
+ */
+export function getDocumentTextPath(docPath, format = 'text') {
+  const extension = format === 'markdown' ? 'md' : 'txt';
+  return `${docPath}.extracted.${extension}`;
+}
+
+/**
+ * Check if a file was written by the output writer
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - True for JSON outputs and saved document text
+ */
+export function isOutputFile(filePath) {
+  const fileName = path.basename(filePath).toLowerCase();
+  return fileName.endsWith('.json') || /\.extracted\.(md|txt)$/.test(fileName);
+}
+
+/**
+ * Check if parsed JSON is an output saved by writeExtractionOutput
+ * Expected results, manifests, registries and other JSON files lack the record lists
+ * or the `prompts` the extraction was made with
+ * @param {*} data - The parsed JSON
+ * @returns {boolean} - True if the data has the shape of an extraction output
+ */
+export function isExtractionOutput(data) {
+  return Boolean(data) && !Array.isArray(data) && typeof data === 'object' &&
+    ['persons', 'relationships', 'voyages', 'passages', 'prompts'].every(list => Array.isArray(data[list])) &&
+    data.persons.every(person => person && typeof person === 'object' && 'first_name' in person);
+}
+
+/**
+ * Save the extracted data for a document as JSON next to the document
+ * The output is an object with the `persons`, the `relationships` between them,
+ * and the `voyages` and `passages` they travelled on. Ensemble runs also save the
+ * `disagreements` between providers, for review. The prompt templates used are
+ * recorded in `prompts` so the output can be reproduced. Each person is saved with
+ * the `search_names` they can be found by once stored.
+ * The document text the model was given (Markdown for Word and HTML documents)
+ * is saved alongside it so reviewers can see exactly what the model saw
+ * @param {string} docPath - Path to the source document
+ * @param {Object} result - The successful result returned by the document processor
+ * @returns {string} - Path to the written output file
+ */
+export function writeExtractionOutput(docPath, result) {
+  const outputPath = getOutputPath(docPath);
+  const output = {
+    persons: result.data.map(person => ({ ...person, search_names: getSearchNames(person) })),
+    relationships: result.relationships || [],
+    voyages: result.voyages || [],
+    passages: result.passages || [],
+    ...(result.disagreements ? { disagreements: result.disagreements } : {}),
+    ...(result.prompts ? { prompts: result.prompts } : {})
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+  
+  if (result.documentText) {
+    fs.writeFileSync(getDocumentTextPath(docPath, result.documentFormat), result.documentText);
+  }
+  
+  return outputPath;
+}
@@ -0,0 +1,137 @@
+/**
+ * Checks the quotes the LLM gives as evidence for each extracted field
+ * The model is asked to quote the text each field came from. The quote is looked
+ * up in the document text to find its character offsets, and fields whose quote
+ * can't be found (or that have no quote at all) are flagged as unsupported, as
+ * the value may have been made up.
+ */
+
+// Fields that need no quoted evidence: IDs, source images, gazetteer places and review
+// flags aren't extracted from the document text, and events name their own source
+const UNCITED_FIELDS = ['id', 'citations', 'confidence', 'needs_review', 'review_fields', 'source_image', 'events', 'places'];
+
+/**
+ * Build a normalized copy of the text for matching quotes, with a map back to the original offsets
+ * Case, runs of whitespace, Markdown formatting characters and curly quotes are ignored,
+ * as the model rarely copies them exactly
+ * @param {string} text - The text to normalize
+ * @returns {Object} - The normalized `text` and `offsets`, the original offset of each normalized character
+ * @private
+ */
+function normalizeForMatching(text) {
+  let normalized = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if ('*_#>|\\`'.includes(char)) continue;
+    if (/\s/.test(char)) {
+      if (normalized === '' || normalized.endsWith(' ')) continue;
+      char = ' ';
+    }
+
+    char = char
+      .replace(/[‘’]/, "'")
+      .replace(/[“”]/, '"')
+      .replace(/[–—]/, '-')
+      .toLowerCase();
+
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { text: normalized, offsets };
+}
+
+/**
+ * Find where a quote occurs in the document text
+ * @param {string} documentText - The document text the fields were extracted from
+ * @param {string} quote - The quote to find
+ * @returns {Object|null} - The `start` and `end` character offsets of the quote, or null if it isn't in the text
+ */
+export function findQuote(documentText, quote) {
+  if (!documentText || typeof quote !== 'string' || quote.trim() === '') return null;
+
+  const exactStart = documentText.indexOf(quote);
+  if (exactStart !== -1) {
+    return { start: exactStart, end: exactStart + quote.length };
+  }
+
+  const document = normalizeForMatching(documentText);
+  const needle = normalizeForMatching(quote).text.trim();
+  if (needle === '') return null;
+
+  const start = document.text.indexOf(needle);
+  if (start === -1) return null;
+
+  return {
+    start: document.offsets[start],
+    end: document.offsets[start + needle.length - 1] + 1
+  };
+}
+
+/**
+ * Convert the citations returned by the LLM to citation objects
+ * Models usually return each citation as just the quote text
+ * @param {Object} citations - The citations by field name
+ * @returns {Object} - Citations by field name, each with a `quote`
+ */
+export function normalizeCitations(citations) {
+  if (!citations || typeof citations !== 'object' || Array.isArray(citations)) return {};
+
+  const normalized = {};
+  for (const [field, citation] of Object.entries(citations)) {
+    if (typeof citation === 'string') {
+      normalized[field] = { quote: citation };
+    } else if (citation && typeof citation === 'object') {
+      normalized[field] = { ...citation };
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Check the citation of every extracted field against the document text
+ * Each citation gets the `start` and `end` offsets of its quote and whether it was
+ * `verified`. Fields that have a value but no quote that can be found in the text are
+ * given an unverified citation and listed in `unsupported`.
+ * @param {Array<Object>} persons - The extracted persons, with their `citations`
+ * @param {string} documentText - The document text the persons were extracted from
+ * @returns {Object} - The `persons` with checked citations and the `unsupported` fields
+ */
+export function verifyCitations(persons, documentText) {
+  const unsupported = [];
+
+  const verified = persons.map((person, personIndex) => {
+    const citations = normalizeCitations(person.citations);
+    const checked = {};
+
+    for (const [field, value] of Object.entries(person)) {
+      if (UNCITED_FIELDS.includes(field) || value === null || value === undefined || value === '') continue;
+
+      const citation = citations[field] || { quote: null };
+      const location = findQuote(documentText, citation.quote);
+      checked[field] = {
+        quote: citation.quote,
+        start: location ? location.start : null,
+        end: location ? location.end : null,
+        verified: Boolean(location)
+      };
+
+      if (!location) {
+        unsupported.push({
+          personIndex,
+          person: `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+          field,
+          value,
+          quote: citation.quote
+        });
+      }
+    }
+
+    return { ...person, citations: checked };
+  });
+
+  return { persons: verified, unsupported };
+}
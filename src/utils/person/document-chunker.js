@@ -0,0 +1,89 @@
+/**
+ * Splits long documents into overlapping chunks that fit in a single LLM call
+ */
+
+// Rough number of characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+export const DEFAULT_CHUNK_OPTIONS = {
+  maxTokens: 2000,
+  overlapTokens: 200
+};
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * This is an approximation, good enough for deciding where to split a document
+ * @param {string} text - The text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Find the best place to break the text within a range
+ * Blank lines are preferred over line breaks (which would split a table), then sentence ends, then spaces
+ * @param {string} text - The full text
+ * @param {number} from - Start of the range (exclusive)
+ * @param {number} to - End of the range (inclusive)
+ * @param {boolean} preferLast - Take the last break in the range instead of the first
+ * @returns {number|null} - Offset just after the break, or null if there is none in the range
+ * @private
+ */
+function findBreak(text, from, to, preferLast) {
+  const window = text.slice(from, to);
+
+  for (const pattern of [/\n\s*\n\s*/g, /\n\s*/g, /[.!?]\s+/g, /\s+/g]) {
+    const breaks = [...window.matchAll(pattern)]
+      .map(match => from + match.index + match[0].length)
+      .filter(position => position > from && position <= to);
+
+    if (breaks.length > 0) {
+      return preferLast ? breaks[breaks.length - 1] : breaks[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a document into chunks of at most `maxTokens`, each starting with roughly
+ * the last `overlapTokens` of the previous chunk so that people described across a
+ * chunk boundary are seen in full at least once
+ * @param {string} text - The document text
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxTokens - Maximum estimated tokens per chunk
+ * @param {number} options.overlapTokens - Estimated tokens repeated between consecutive chunks
+ * @returns {Array<Object>} - Chunks with `index`, `text`, `start` and `end` offsets
+ */
+export function chunkDocument(text, options = {}) {
+  const { maxTokens, overlapTokens } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  const source = text || '';
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 2));
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < source.length || chunks.length === 0) {
+    let end = source.length;
+
+    if (start + maxChars < source.length) {
+      // Break in the second half of the chunk so chunks don't become too small
+      end = findBreak(source, start + Math.floor(maxChars / 2), start + maxChars, true) || start + maxChars;
+    }
+
+    chunks.push({ index: chunks.length, text: source.slice(start, end), start, end });
+
+    if (end >= source.length) break;
+
+    // Step back into the previous chunk by the overlap, starting at a clean break
+    // early enough in the overlap window to keep most of it
+    const overlapStart = end - overlapChars;
+    start = findBreak(source, overlapStart, overlapStart + Math.floor(overlapChars / 2), false) ||
+      findBreak(source, overlapStart, end - 1, false) ||
+      end;
+  }
+
+  return chunks;
+}
@@ -0,0 +1,282 @@
+import { extractPersonFromDocument, validateExtraction } from './person-extractor.js';
+import { verifyCitations } from './citation-verifier.js';
+import { NAME_LIST_FIELDS } from './person-names.js';
+import {
+  hasValue,
+  normalizeValue,
+  mergePersons,
+  mergeRelationships,
+  mergeVoyages,
+  mergePassages
+} from './person-merger.js';
+
+/**
+ * Extracts persons with several LLM providers and votes on the result
+ * Each provider extracts the document on its own. The persons they return are
+ * aligned the same way the persons from the chunks of a long document are, and
+ * each field takes the value with the most votes. Every field where the providers
+ * disagree is reported in `disagreements` so a human can decide.
+ */
+
+export const VOTING_METHODS = {
+  // Every provider has one vote
+  MAJORITY: 'majority',
+  // Each provider's vote counts by its weight
+  WEIGHTED: 'weighted'
+};
+
+// Fields that aren't voted on: IDs are reassigned, citations and confidence follow the
+// winning value, and events and name lists are combined from every provider
+const UNVOTED_FIELDS = ['id', 'citations', 'confidence', 'events', ...NAME_LIST_FIELDS];
+
+// Options of the ensemble itself, not passed on to each provider's extraction
+const ENSEMBLE_OPTIONS = ['providers', 'vote', 'weights', 'llms'];
+
+/**
+ * Get the key of a relationship, the same whichever way round a symmetric relationship is given
+ * @param {Object} relationship - The relationship
+ * @returns {string} - The key
+ * @private
+ */
+function getRelationshipKey(relationship) {
+  const ids = [relationship.person_id, relationship.related_person_id];
+  return `${relationship.type}|${relationship.type === 'parent_of' ? ids.join('|') : ids.sort().join('|')}`;
+}
+
+/**
+ * Get a person's name for disagreements
+ * @param {Object} person - The person
+ * @returns {string} - The person's first and last name
+ * @private
+ */
+function getName(person) {
+  return `${person.first_name || ''} ${person.last_name || ''}`.trim();
+}
+
+/**
+ * Tally the votes for each value of a field
+ * @param {Array<Object>} ballots - The `provider`, its `weight` and the `value` it gave
+ * @returns {Array<Object>} - Each distinct `value` with the `providers` that gave it and their total `weight`,
+ * most votes first (ties go to the value from the provider listed first)
+ * @private
+ */
+function countVotes(ballots) {
+  // Values that are the same once normalized share a tally, in the order they were first given
+  const tallies = new Map();
+
+  for (const { provider, weight, value } of ballots) {
+    const key = normalizeValue(value);
+    if (!tallies.has(key)) {
+      tallies.set(key, { value, providers: [], weight: 0 });
+    }
+    const tally = tallies.get(key);
+    tally.providers.push(provider);
+    tally.weight += weight;
+  }
+
+  return [...tallies.values()].sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Vote on the fields of one person found by several providers
+ * @param {Object} merged - The aligned person, with the events and names of every provider
+ * @param {Array<Object>} records - The `provider`, its `weight` and the `person` it extracted
+ * @returns {Object} - The voted `person` and the fields the providers `disagree` on
+ * @private
+ */
+function votePerson(merged, records) {
+  const person = { ...merged };
+  const citations = {};
+  const confidence = {};
+  const disagree = [];
+
+  const fields = new Set(records.flatMap(record => Object.keys(record.person)));
+  for (const field of fields) {
+    if (UNVOTED_FIELDS.includes(field)) continue;
+
+    const ballots = records
+      .filter(record => hasValue(record.person[field]))
+      .map(record => ({ provider: record.provider, weight: record.weight, value: record.person[field] }));
+    if (ballots.length === 0) continue;
+
+    const tallies = countVotes(ballots);
+    const winner = tallies[0];
+    person[field] = winner.value;
+
+    // Keep the evidence given by a provider that voted for the value
+    const source = records.find(record => record.provider === winner.providers[0]).person;
+    if (source.citations && source.citations[field]) citations[field] = source.citations[field];
+    if (source.confidence && source.confidence[field]) confidence[field] = source.confidence[field];
+
+    if (tallies.length > 1) {
+      disagree.push({ field, keptValue: winner.value, values: tallies });
+    }
+  }
+
+  if (Object.keys(citations).length > 0) person.citations = citations;
+  if (Object.keys(confidence).length > 0) person.confidence = confidence;
+
+  return { person, disagree };
+}
+
+/**
+ * Extract persons from document text with several providers and vote on every field
+ * Each provider runs a full extraction (with chunking and repair as configured). The
+ * persons are aligned across providers by name and dates, and each field takes the
+ * value with the most votes, ties going to the provider listed first. A person is kept
+ * if any provider found them, and a relationship if at least half the vote of the
+ * providers that found both persons gave it. Voyages and passages are combined.
+ * @param {string} documentText - The text content of the document to analyze
+ * @param {Object} options - Options for the extraction process (see extractPersonFromDocument)
+ * @param {Array<string>} options.providers - The registered providers to use, in order of preference
+ * @param {string} options.vote - The voting method, majority (the default) or weighted
+ * @param {Object} options.weights - Weighted voting: the weight of each provider (defaults to 1)
+ * @param {Object} options.llms - LLM instances to use instead of creating them, by provider name
+ * @returns {Promise<Object>} - The result of extraction as for extractPersonFromDocument, with the
+ * `disagreements` between providers and each provider's outcome in `providerResults`
+ */
+export async function extractWithEnsemble(documentText, options = {}) {
+  const providers = options.providers || [];
+  if (providers.length < 2) {
+    return { success: false, error: 'Ensemble extraction needs at least two providers' };
+  }
+
+  const vote = options.vote || VOTING_METHODS.MAJORITY;
+  if (!Object.values(VOTING_METHODS).includes(vote)) {
+    return { success: false, error: `Unknown voting method: ${vote}. Use ${Object.values(VOTING_METHODS).join(' or ')}` };
+  }
+  const getWeight = provider => (vote === VOTING_METHODS.WEIGHTED && options.weights && options.weights[provider] !== undefined
+    ? options.weights[provider]
+    : 1);
+
+  // 1. Run the extraction with each provider
+  const extractOptions = Object.fromEntries(Object.entries(options).filter(([name]) => !ENSEMBLE_OPTIONS.includes(name)));
+  const runs = [];
+  const providerResults = [];
+  for (const provider of providers) {
+    console.log(`Ensemble: extracting with ${provider}...`);
+    const result = await extractPersonFromDocument(documentText, {
+      ...extractOptions,
+      provider,
+      llm: options.llms && options.llms[provider]
+    });
+
+    providerResults.push({
+      provider,
+      success: result.success,
+      personCount: Array.isArray(result.data) ? result.data.length : 0,
+      ...(result.error ? { error: result.error } : {}),
+      ...(result.errors ? { errors: result.errors.map(error => error.stack || error.message) } : {})
+    });
+
+    // Data that failed validation still gets a vote, as the other providers may outvote its mistakes
+    if (Array.isArray(result.data)) {
+      runs.push({ provider, weight: getWeight(provider), result });
+    }
+  }
+
+  if (runs.length === 0) {
+    return { success: false, error: 'Every provider in the ensemble failed', providerResults };
+  }
+
+  // 2. Align the persons each provider found, as if each provider's output was a chunk
+  const { persons: aligned, idMaps } = mergePersons(runs.map(run => run.result.data));
+
+  // 3. Vote on the fields of each person
+  const disagreements = [];
+  const votedPersons = aligned.map(merged => {
+    const records = [];
+    runs.forEach((run, runIndex) => {
+      for (const person of run.result.data) {
+        if (idMaps[runIndex].get(person.id) === merged.id) {
+          records.push({ provider: run.provider, weight: run.weight, person });
+        }
+      }
+    });
+
+    const { person, disagree } = votePerson(merged, records);
+
+    const foundBy = records.map(record => record.provider);
+    const missedBy = runs.map(run => run.provider).filter(provider => !foundBy.includes(provider));
+    if (missedBy.length > 0) {
+      disagreements.push({ person: getName(person), personId: person.id, field: null, foundBy, missedBy });
+    }
+    for (const item of disagree) {
+      disagreements.push({ person: getName(person), personId: person.id, ...item });
+    }
+
+    return person;
+  });
+
+  // 4. Keep the relationships most of the providers that could have given them agree on
+  const { relationships: allRelationships } = mergeRelationships(runs.map(run => run.result.relationships || []), idMaps);
+  const relationships = allRelationships.filter(relationship => {
+    const key = getRelationshipKey(relationship);
+    const given = [];
+    const eligible = [];
+
+    runs.forEach((run, runIndex) => {
+      const ids = new Set(idMaps[runIndex].values());
+      if (!ids.has(relationship.person_id) || !ids.has(relationship.related_person_id)) return;
+
+      eligible.push(run);
+      const mapped = (run.result.relationships || []).map(item => getRelationshipKey({
+        ...item,
+        person_id: idMaps[runIndex].get(item.person_id),
+        related_person_id: idMaps[runIndex].get(item.related_person_id)
+      }));
+      if (mapped.includes(key)) given.push(run);
+    });
+
+    const givenWeight = given.reduce((sum, run) => sum + run.weight, 0);
+    const eligibleWeight = eligible.reduce((sum, run) => sum + run.weight, 0);
+    const kept = eligibleWeight === 0 || givenWeight * 2 >= eligibleWeight;
+
+    if (given.length < eligible.length) {
+      disagreements.push({
+        relationship: `${relationship.person_id} ${relationship.type} ${relationship.related_person_id}`,
+        field: null,
+        foundBy: given.map(run => run.provider),
+        missedBy: eligible.filter(run => !given.includes(run)).map(run => run.provider),
+        kept
+      });
+    }
+
+    return kept;
+  });
+
+  // 5. Combine the voyages and passages
+  const { voyages, idMaps: voyageIdMaps } = mergeVoyages(runs.map(run => run.result.voyages || []));
+  const { passages } = mergePassages(runs.map(run => run.result.passages || []), idMaps, voyageIdMaps);
+
+  // The kept citations may come from different providers, so check them again
+  const { persons, unsupported } = verifyCitations(votedPersons, documentText);
+
+  const conflicts = runs.flatMap(run => (run.result.conflicts || []).map(conflict => ({ ...conflict, provider: run.provider })));
+  // Each provider may have used its own variant of a prompt, so keep every distinct one
+  const prompts = [];
+  for (const prompt of runs.flatMap(run => run.result.prompts || [])) {
+    if (!prompts.some(used => used.id === prompt.id && used.version === prompt.version && used.hash === prompt.hash)) {
+      prompts.push(prompt);
+    }
+  }
+  const errors = validateExtraction({ persons, relationships, voyages, passages });
+
+  const fieldDisagreements = disagreements.filter(item => item.field).length;
+  console.log(`Ensemble of ${runs.length} provider(s) found ${persons.length} person(s), with ${fieldDisagreements} field(s) they disagree on`);
+
+  return {
+    success: errors.length === 0,
+    ...(errors.length > 0 ? { errors } : {}),
+    data: persons,
+    relationships,
+    voyages,
+    passages,
+    conflicts,
+    unsupported,
+    disagreements,
+    providerResults,
+    vote,
+    prompts
+  };
+}
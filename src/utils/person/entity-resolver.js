@@ -0,0 +1,579 @@
+import fs from 'fs';
+import path from 'path';
+import { compareGenealogicalDates, datesOverlap, getDateRange } from '../genealogical-date.js';
+import { normalizePlaceName } from '../places/gazetteer.js';
+import { matchPlace, normalizePersonPlaces } from '../places/place-normalizer.js';
+import { getNameVariants, getSearchNames, getSurnames, namesMatch, normalizeName } from './person-names.js';
+import { applyReviewThreshold } from './field-confidence.js';
+import { isExtractionOutput, getOutputPath } from '../output-writer.js';
+import {
+  hasValue,
+  normalizeValue,
+  mergeEvents,
+  mergeNameLists,
+  mergeRelationships,
+  mergeVoyages,
+  mergePassages
+} from './person-merger.js';
+
+/**
+ * Resolves the persons extracted from separate documents into one registry
+ * Each document is processed on its own, so the same ancestor appears in the output
+ * of every family file that mentions them, and occasionally twice in one output.
+ * Every pair of records that could be the same person is scored on their names,
+ * dates, places and relatives. Pairs scoring above the merge threshold are merged
+ * into one registry person that keeps a link to each source record, and lower
+ * scoring pairs are proposed for review.
+ */
+
+// Name of the registry file written to the root of a resolved directory
+export const REGISTRY_FILENAME = 'person-registry.json';
+
+// Pairs scoring at least this are merged automatically
+export const DEFAULT_MERGE_THRESHOLD = 0.8;
+
+// Pairs scoring at least this (but less than the merge threshold) are proposed for review
+export const DEFAULT_REVIEW_THRESHOLD = 0.5;
+
+// Fields that aren't reconciled between records: IDs and citations belong to the
+// source record, confidence follows the value kept, places are matched and review is
+// worked out again, and events and name lists are combined
+const UNRESOLVED_FIELDS = [
+  'id', 'citations', 'confidence', 'needs_review', 'review_fields', 'places', 'source_image',
+  'events', 'married_surnames', 'aliases', 'name_variants', 'search_names'
+];
+
+// Name fields whose other values are kept as name variants rather than reported as conflicts
+const NAME_FIELDS = ['first_name', 'middle_names', 'last_name'];
+
+// How a relationship looks from each side
+const RELATIVE_ROLES = {
+  parent_of: ['child', 'parent'],
+  spouse_of: ['spouse', 'spouse'],
+  sibling_of: ['sibling', 'sibling']
+};
+
+/**
+ * Check if a JSON file is beside a document of the same name, e.g. Fahy.json and Fahy.docx
+ * @param {string} filePath - Path to the JSON file
+ * @returns {boolean} - True if there is a document the file could be the output of
+ * @private
+ */
+function hasSourceDocument(filePath) {
+  return getSourceDocuments(filePath).length > 0;
+}
+
+/**
+ * Get the documents beside a JSON file with the same name, e.g. Fahy.docx for Fahy.json
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array<string>} - Paths to the documents
+ * @private
+ */
+function getSourceDocuments(filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  return fs.readdirSync(path.dirname(filePath))
+    .filter(file => path.extname(file).toLowerCase() !== '.json' && path.basename(file, path.extname(file)) === baseName)
+    .map(file => path.join(path.dirname(filePath), file));
+}
+
+/**
+ * Check if a JSON file is an output saved by an older run, named without the document's
+ * extension, whose documents have all been processed again since (e.g. Fahy.json once
+ * Fahy.docx.json is written), so its persons aren't loaded twice
+ * @param {string} filePath - Path to the JSON file
+ * @returns {boolean} - True if every document of the same name has an output under the current name
+ * @private
+ */
+function isSupersededOutput(filePath) {
+  const documents = getSourceDocuments(filePath);
+  return documents.length > 0 && documents.every(document => fs.existsSync(getOutputPath(document)));
+}
+
+/**
+ * Load the persons from the JSON outputs of processed documents
+ * Files with the shape written by writeExtractionOutput are read, as are the arrays
+ * of persons older runs saved next to their document (until the document's output is
+ * written under its current name). The manifest, the registry,
+ * expected results and any other JSON files are ignored, with a warning for lists
+ * of persons that aren't outputs.
+ * @param {string} dirPath - The directory holding the outputs (searched recursively)
+ * @param {Object} options - Loading options
+ * @param {string} options.registryPath - The registry file to skip (defaults to person-registry.json in dirPath)
+ * @returns {Array<Object>} - The outputs, each with its `file` (relative to dirPath) and lists of records
+ */
+export function loadExtractionOutputs(dirPath, options = {}) {
+  const outputs = [];
+  const registryPath = path.resolve(options.registryPath || path.join(dirPath, REGISTRY_FILENAME));
+
+  const walk = currentPath => {
+    for (const entry of fs.readdirSync(currentPath, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(currentPath, entry.name);
+
+      if (entry.isDirectory()) {
+        walk(entryPath);
+        continue;
+      }
+
+      if (!entry.isFile() || !entry.name.toLowerCase().endsWith('.json') ||
+          entry.name.startsWith('.') || path.resolve(entryPath) === registryPath || isSupersededOutput(entryPath)) {
+        continue;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      } catch {
+        continue;
+      }
+
+      const file = path.relative(dirPath, entryPath);
+      if (isExtractionOutput(data)) {
+        outputs.push({ file, persons: data.persons, relationships: data.relationships, voyages: data.voyages, passages: data.passages });
+        continue;
+      }
+
+      const isPersonList = Array.isArray(data) && data.length > 0 &&
+        data.every(person => person && typeof person === 'object' && 'first_name' in person);
+      if (!isPersonList) {
+        continue;
+      }
+      if (!hasSourceDocument(entryPath)) {
+        console.warn(`⚠️  Skipping ${file}: a list of persons with no document of the same name beside it, so not an extraction output`);
+        continue;
+      }
+
+      // Older runs saved only the persons
+      outputs.push({ file, persons: data, relationships: [], voyages: [], passages: [] });
+    }
+  };
+
+  walk(dirPath);
+  return outputs;
+}
+
+/**
+ * Turn the outputs into source records, one for each extracted person,
+ * with the relatives each person has in their own document
+ * @param {Array<Object>} outputs - The outputs returned by loadExtractionOutputs
+ * @returns {Array<Object>} - Records with the `file`, `person_id`, `index` and `person`, and the person's `relatives`
+ */
+export function getSourceRecords(outputs) {
+  const records = [];
+
+  for (const output of outputs) {
+    const personsById = new Map(output.persons.map((person, index) => [person.id || `p${index + 1}`, person]));
+
+    output.persons.forEach((person, index) => {
+      const personId = person.id || `p${index + 1}`;
+      const relatives = [];
+
+      for (const relationship of output.relationships) {
+        const roles = RELATIVE_ROLES[relationship.type];
+        if (!roles) continue;
+
+        if (relationship.person_id === personId && personsById.has(relationship.related_person_id)) {
+          relatives.push({ role: roles[0], person: personsById.get(relationship.related_person_id) });
+        } else if (relationship.related_person_id === personId && personsById.has(relationship.person_id)) {
+          relatives.push({ role: roles[1], person: personsById.get(relationship.person_id) });
+        }
+      }
+
+      records.push({ file: output.file, person_id: personId, index, person, relatives });
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Describe a source record, e.g. "Mary Badgett (Young/Young.docx.json p2)"
+ * @param {Object} record - The source record
+ * @returns {string} - The description
+ * @private
+ */
+function describeRecord(record) {
+  const name = `${record.person.first_name || ''} ${record.person.last_name || ''}`.trim();
+  return `${name} (${record.file} ${record.person_id})`;
+}
+
+/**
+ * Check if a genealogical date is known to the day
+ * @param {Object} value - The genealogical date
+ * @returns {boolean} - True if the date is a single day
+ * @private
+ */
+function isExactDay(value) {
+  const range = getDateRange(value);
+  return Boolean(range && range.earliest && range.earliest === range.latest);
+}
+
+/**
+ * Check if two first names could belong to the same person, e.g. "J." and "John"
+ * @param {string} a - The first name
+ * @param {string} b - The other first name
+ * @returns {boolean} - True if the names are the same or one is the initial of the other
+ * @private
+ */
+function firstNamesCompatible(a, b) {
+  const nameA = normalizeName(a);
+  const nameB = normalizeName(b);
+  if (!nameA || !nameB) return false;
+  return nameA === nameB || (nameA.length === 1 && nameB.startsWith(nameA)) || (nameB.length === 1 && nameA.startsWith(nameB));
+}
+
+/**
+ * Get the gazetteer place of a person's place field
+ * The match made during extraction is used when there is one, as older outputs don't have `places`
+ * @param {Object} person - The person
+ * @param {string} field - The place field
+ * @returns {string|null} - The place ID, or null if the place isn't in the gazetteer
+ * @private
+ */
+function getPlaceId(person, field) {
+  if (person.places && person.places[field]) return person.places[field].place_id;
+
+  const { place } = matchPlace(person[field]);
+  return place ? place.id : null;
+}
+
+/**
+ * Compare a place field of two persons, by gazetteer place when both can be matched
+ * @param {Object} a - The first person
+ * @param {Object} b - The second person
+ * @param {string} field - The place field
+ * @returns {boolean|null} - True if the places are the same, false if they differ, null if either is missing
+ * @private
+ */
+function comparePlaces(a, b, field) {
+  if (!hasValue(a[field]) || !hasValue(b[field])) return null;
+
+  const placeA = getPlaceId(a, field);
+  const placeB = getPlaceId(b, field);
+  if (placeA && placeB) return placeA === placeB;
+
+  return normalizePlaceName(a[field]) === normalizePlaceName(b[field]);
+}
+
+/**
+ * Score how likely it is that two records describe the same person
+ * The records must share a name (or a surname, with compatible first names) and
+ * can't have a different gender or birth or death dates that can't be the same.
+ * The score then rises with each date, place and relative they agree on.
+ * @param {Object} a - The first source record
+ * @param {Object} b - The second source record
+ * @returns {Object} - The `score` (0 to 1, 0 if the records can't be the same person) and the `reasons` for it
+ */
+export function scorePersonPair(a, b) {
+  const personA = a.person;
+  const personB = b.person;
+  const reasons = [];
+  let score;
+
+  if (namesMatch(personA, personB)) {
+    score = 0.5;
+    reasons.push('same name');
+  } else if (getSurnames(personA).some(surname => getSurnames(personB).includes(surname)) &&
+             firstNamesCompatible(personA.first_name, personB.first_name)) {
+    score = 0.3;
+    reasons.push('same surname, compatible first name');
+  } else {
+    return { score: 0, reasons: ['different names'] };
+  }
+
+  if (hasValue(personA.gender) && hasValue(personB.gender) && normalizeValue(personA.gender) !== normalizeValue(personB.gender)) {
+    return { score: 0, reasons: ['different gender'] };
+  }
+
+  for (const field of ['birth_date', 'death_date']) {
+    if (!personA[field] || !personB[field]) continue;
+
+    if (!datesOverlap(personA[field], personB[field])) {
+      return { score: 0, reasons: [`different ${field}`] };
+    }
+
+    if (isExactDay(personA[field]) && normalizeValue(personA[field]) === normalizeValue(personB[field])) {
+      score += 0.3;
+      reasons.push(`same ${field}`);
+    } else {
+      score += 0.15;
+      reasons.push(`compatible ${field}`);
+    }
+  }
+
+  for (const field of ['birth_place', 'death_place', 'burial_place']) {
+    const same = comparePlaces(personA, personB, field);
+    if (same === true) {
+      score += 0.1;
+      reasons.push(`same ${field}`);
+    } else if (same === false) {
+      score -= 0.1;
+      reasons.push(`different ${field}`);
+    }
+  }
+
+  let relativeScore = 0;
+  for (const relativeA of a.relatives || []) {
+    const shared = (b.relatives || []).some(relativeB =>
+      relativeB.role === relativeA.role && namesMatch(relativeA.person, relativeB.person)
+    );
+    if (shared) {
+      relativeScore += 0.15;
+      reasons.push(`same ${relativeA.role} (${relativeA.person.first_name} ${relativeA.person.last_name})`);
+    }
+  }
+  score += Math.min(relativeScore, 0.3);
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+}
+
+/**
+ * Score every pair of records that could be the same person
+ * Only records sharing a surname are compared, which keeps the number of pairs small
+ * @param {Array<Object>} records - The source records returned by getSourceRecords
+ * @param {Object} options - Resolution options
+ * @param {number} options.reviewThreshold - The lowest score to propose (defaults to DEFAULT_REVIEW_THRESHOLD)
+ * @returns {Array<Object>} - Proposed merges with the indexes of the two records (`a`, `b`), `score` and `reasons`, best first
+ */
+export function proposeMerges(records, options = {}) {
+  const reviewThreshold = options.reviewThreshold ?? DEFAULT_REVIEW_THRESHOLD;
+  const recordsBySurname = new Map();
+
+  records.forEach((record, index) => {
+    for (const surname of getSurnames(record.person)) {
+      if (!recordsBySurname.has(surname)) recordsBySurname.set(surname, []);
+      recordsBySurname.get(surname).push(index);
+    }
+  });
+
+  const seen = new Set();
+  const proposals = [];
+
+  for (const indexes of recordsBySurname.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const [a, b] = [indexes[i], indexes[j]].sort((x, y) => x - y);
+        const key = `${a}|${b}`;
+        if (a === b || seen.has(key)) continue;
+        seen.add(key);
+
+        const { score, reasons } = scorePersonPair(records[a], records[b]);
+        if (score >= reviewThreshold) proposals.push({ a, b, score, reasons });
+      }
+    }
+  }
+
+  return proposals.sort((x, y) => y.score - x.score || x.a - y.a || x.b - y.b);
+}
+
+/**
+ * Group the records into clusters, one for each person
+ * Proposals at or above the merge threshold are accepted best first, unless a record
+ * in one cluster can't be the same person as a record in the other
+ * @param {Array<Object>} records - The source records
+ * @param {Array<Object>} proposals - The proposals returned by proposeMerges
+ * @param {number} mergeThreshold - The lowest score to merge
+ * @returns {Array<Array<number>>} - The record indexes in each cluster
+ * @private
+ */
+function clusterRecords(records, proposals, mergeThreshold) {
+  const clusterOf = records.map((record, index) => index);
+  const clusters = new Map(records.map((record, index) => [index, [index]]));
+
+  for (const proposal of proposals) {
+    if (proposal.score < mergeThreshold) continue;
+
+    const clusterA = clusterOf[proposal.a];
+    const clusterB = clusterOf[proposal.b];
+    if (clusterA === clusterB) {
+      proposal.merged = true;
+      continue;
+    }
+
+    const compatible = clusters.get(clusterA).every(a =>
+      clusters.get(clusterB).every(b => scorePersonPair(records[a], records[b]).score > 0)
+    );
+    if (!compatible) continue;
+
+    for (const index of clusters.get(clusterB)) {
+      clusterOf[index] = clusterA;
+      clusters.get(clusterA).push(index);
+    }
+    clusters.delete(clusterB);
+    proposal.merged = true;
+  }
+
+  return Array.from(clusters.values()).map(cluster => cluster.sort((a, b) => a - b));
+}
+
+/**
+ * Combine the records of one person into a registry person
+ * Each field takes the first value found, in the order of the source files. Other
+ * first, middle and last names are kept as name variants, and other values of
+ * the remaining fields are reported as conflicts.
+ * @param {Array<Object>} clusterRecords - The records of the person
+ * @param {string} id - The registry ID of the person
+ * @returns {Object} - The registry `person` and its `conflicts`
+ * @private
+ */
+function consolidateRecords(clusterRecords, id) {
+  const person = { id };
+  const values = {};
+
+  for (const record of clusterRecords) {
+    for (const [field, value] of Object.entries(record.person)) {
+      if (UNRESOLVED_FIELDS.includes(field) || !hasValue(value)) continue;
+
+      if (!hasValue(person[field])) {
+        person[field] = value;
+        if (record.person.confidence && record.person.confidence[field]) {
+          person.confidence = { ...person.confidence, [field]: record.person.confidence[field] };
+        }
+      }
+
+      const seen = values[field] || (values[field] = []);
+      if (!seen.some(entry => normalizeValue(entry.value) === normalizeValue(value))) {
+        seen.push({ value, source: `${record.file} ${record.person_id}` });
+      }
+    }
+
+    mergeEvents(person, record.person);
+    mergeNameLists(person, record.person);
+  }
+
+  // Names the person was recorded under in other documents are variants, not conflicts
+  const knownNames = getNameVariants(person);
+  const variants = clusterRecords
+    .filter(record => !knownNames.includes(normalizeName(`${record.person.first_name || ''} ${record.person.last_name || ''}`)))
+    .map(record => NAME_FIELDS.map(field => record.person[field]).filter(hasValue).join(' '));
+  if (variants.length > 0) mergeNameLists(person, { name_variants: variants });
+  person.search_names = getSearchNames(person);
+
+  if (Array.isArray(person.events)) {
+    person.events = [...person.events].sort((a, b) => compareGenealogicalDates(a.date, b.date));
+  }
+
+  person.sources = clusterRecords.map(record => ({
+    file: record.file,
+    person_id: record.person_id,
+    ...(record.person.source_image ? { source_image: record.person.source_image } : {})
+  }));
+
+  const conflicts = [];
+  for (const [field, seen] of Object.entries(values)) {
+    if (seen.length > 1 && !NAME_FIELDS.includes(field)) {
+      conflicts.push({
+        person: `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+        field,
+        keptValue: person[field],
+        values: seen
+      });
+    }
+  }
+
+  return { person, conflicts };
+}
+
+/**
+ * Build a registry of the distinct persons across all processed documents
+ * Records that score at or above the merge threshold are merged into one person
+ * (r1, r2, ...) with a `sources` link to each record. The relationships, voyages
+ * and passages of every document are carried over to the registry persons.
+ * @param {Array<Object>} outputs - The outputs returned by loadExtractionOutputs
+ * @param {Object} options - Resolution options
+ * @param {number} options.mergeThreshold - The lowest score to merge (defaults to DEFAULT_MERGE_THRESHOLD)
+ * @param {number} options.reviewThreshold - The lowest score to propose (defaults to DEFAULT_REVIEW_THRESHOLD)
+ * @param {number} options.confidenceThreshold - The lowest field confidence that doesn't need review (see applyReviewThreshold)
+ * @returns {Object} - The registry `persons`, `relationships`, `voyages` and `passages`, the
+ * `merges` made (one for each registry person built from more than one record),
+ * the `proposals` left for review and any `conflicts`
+ */
+export function buildPersonRegistry(outputs, options = {}) {
+  const mergeThreshold = options.mergeThreshold ?? DEFAULT_MERGE_THRESHOLD;
+  const records = getSourceRecords(outputs);
+  const proposals = proposeMerges(records, options);
+  const clusters = clusterRecords(records, proposals, mergeThreshold);
+
+  const persons = [];
+  const conflicts = [];
+  const registryIds = new Map();
+
+  clusters.forEach((cluster, index) => {
+    const id = `r${index + 1}`;
+    const consolidated = consolidateRecords(cluster.map(recordIndex => records[recordIndex]), id);
+    persons.push(consolidated.person);
+    conflicts.push(...consolidated.conflicts);
+    for (const recordIndex of cluster) registryIds.set(recordIndex, id);
+  });
+
+  // Each output is treated like a chunk of one big document, so the chunk merging
+  // functions carry the links over to the registry IDs
+  const personIdMaps = outputs.map(() => new Map());
+  records.forEach((record, index) => {
+    personIdMaps[outputs.findIndex(output => output.file === record.file)].set(record.person_id, registryIds.get(index));
+  });
+
+  const describeSource = conflict => ({
+    ...conflict,
+    values: conflict.values.map(({ value, chunk }) => ({ value, source: outputs[chunk].file }))
+  });
+
+  const relationshipResult = mergeRelationships(outputs.map(output => output.relationships), personIdMaps);
+  const voyageResult = mergeVoyages(outputs.map(output => output.voyages));
+  const passageResult = mergePassages(outputs.map(output => output.passages), personIdMaps, voyageResult.idMaps);
+
+  const toSourceRef = recordIndex => ({
+    file: records[recordIndex].file,
+    person_id: records[recordIndex].person_id,
+    person: describeRecord(records[recordIndex])
+  });
+
+  return {
+    persons: applyReviewThreshold(normalizePersonPlaces(persons).persons, { threshold: options.confidenceThreshold }).persons,
+    relationships: relationshipResult.relationships,
+    voyages: voyageResult.voyages,
+    passages: passageResult.passages,
+    // One merge for each person built from more than one record, scored by the
+    // weakest of the pairs that joined it
+    merges: clusters
+      .map((cluster, index) => ({ cluster, registryId: `r${index + 1}` }))
+      .filter(({ cluster }) => cluster.length > 1)
+      .map(({ cluster, registryId }) => ({
+        records: cluster.map(toSourceRef),
+        registryId,
+        score: Math.min(...proposals
+          .filter(proposal => proposal.merged && registryIds.get(proposal.a) === registryId)
+          .map(proposal => proposal.score))
+      })),
+    // Pairs that ended up in the same person through other merges need no review
+    proposals: proposals
+      .filter(proposal => !proposal.merged && registryIds.get(proposal.a) !== registryIds.get(proposal.b))
+      .map(({ a, b, score, reasons }) => ({ records: [toSourceRef(a), toSourceRef(b)], score, reasons })),
+    conflicts: [
+      ...conflicts,
+      ...[...relationshipResult.conflicts, ...voyageResult.conflicts, ...passageResult.conflicts].map(describeSource)
+    ]
+  };
+}
+
+/**
+ * Resolve the persons in a directory of processed documents and save the registry
+ * @param {string} dirPath - The directory holding the outputs
+ * @param {Object} options - Resolution options (see buildPersonRegistry)
+ * @param {string} options.registryPath - Where to save the registry (defaults to person-registry.json in dirPath)
+ * @returns {Object} - The registry, with the `registryPath` it was saved to and the number of output files (`fileCount`)
+ * and source records (`recordCount`) it was built from
+ */
+export function resolveDirectory(dirPath, options = {}) {
+  const registryPath = options.registryPath || path.join(dirPath, REGISTRY_FILENAME);
+  const outputs = loadExtractionOutputs(dirPath, { registryPath });
+  const registry = buildPersonRegistry(outputs, options);
+
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
+
+  return {
+    ...registry,
+    registryPath,
+    fileCount: outputs.length,
+    recordCount: outputs.reduce((count, output) => count + output.persons.length, 0)
+  };
+}
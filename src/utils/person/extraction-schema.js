@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * The JSON schemas of extracted data
+ * The files in src/schemas are the one definition of the extraction output: the
+ * extractor validates against them, and each version of the extraction prompt
+ * gives the model a copy of the response schema made from them when it was released.
+ */
+
+// Get the directory name using import.meta
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+// A reference to another schema file, e.g. { "$ref": "person-schema.json" }
+const SCHEMA_FILE_REF = /^([a-z]+)-schema\.json$/;
+
+// The keywords of a schema file that don't describe the value
+const FILE_KEYWORDS = ['$schema', 'title', 'definitions'];
+
+/**
+ * Get the part of a schema file that describes the value
+ * @param {Object} schema - The schema
+ * @returns {Object} - The schema without `$schema`, `title` and `definitions`
+ * @private
+ */
+function getSchemaBody(schema) {
+  return Object.fromEntries(Object.entries(schema).filter(([keyword]) => !FILE_KEYWORDS.includes(keyword)));
+}
+
+/**
+ * Read a schema file from src/schemas
+ * Other schema files it refers to are added to its definitions, with their own
+ * definitions beside them, so the schema can be used on its own.
+ * @param {string} name - The schema name, e.g. persons for persons-schema.json
+ * @returns {Object} - The parsed schema
+ */
+export function loadSchema(name) {
+  const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}-schema.json`), 'utf8'));
+  const included = {};
+
+  const include = node => {
+    if (Array.isArray(node)) return node.map(include);
+    if (!node || typeof node !== 'object') return node;
+
+    const match = typeof node.$ref === 'string' && node.$ref.match(SCHEMA_FILE_REF);
+    if (match) {
+      const file = loadSchema(match[1]);
+      Object.assign(included, file.definitions, { [match[1]]: getSchemaBody(file) });
+      return { ...node, $ref: `#/definitions/${match[1]}` };
+    }
+    return Object.fromEntries(Object.entries(node).map(([keyword, value]) => [keyword, include(value)]));
+  };
+
+  const resolved = include(schema);
+  if (Object.keys(included).length > 0) {
+    resolved.definitions = { ...resolved.definitions, ...included };
+  }
+  return resolved;
+}
+
+/**
+ * Combine the list schemas into the schema of a whole extraction response
+ * Each list's definitions are moved to the top level, where its `#/definitions/...`
+ * references point.
+ * @returns {Object} - The JSON schema of the response object
+ */
+export function getExtractionSchema() {
+  const lists = {
+    persons: loadSchema('persons'),
+    relationships: loadSchema('relationships'),
+    voyages: loadSchema('voyages'),
+    passages: loadSchema('passages')
+  };
+  const properties = {};
+  const definitions = {};
+
+  for (const [name, schema] of Object.entries(lists)) {
+    properties[name] = getSchemaBody(schema);
+    Object.assign(definitions, schema.definitions);
+  }
+
+  return { type: 'object', properties, required: ['persons', 'relationships', 'voyages', 'passages'], definitions };
+}
+
+export const EXTRACTION_SCHEMA = getExtractionSchema();
@@ -0,0 +1,132 @@
+/**
+ * Handles the confidence the LLM gives for each extracted field
+ * A value the document states outright ("born 3 May 1850") is more trustworthy than
+ * one the model worked out ("she died in her eighties"), so each field is given a
+ * `score` between 0 and 1 and an `inferred` flag in the person's `confidence`.
+ * Persons with a value scoring below the review threshold are marked for manual review.
+ */
+
+// Fields that aren't extracted values, so have no confidence of their own
+const UNSCORED_FIELDS = ['id', 'citations', 'confidence', 'needs_review', 'review_fields', 'source_image', 'places'];
+
+// Scores for models that give a confidence level rather than a number
+export const CONFIDENCE_LEVELS = {
+  high: 0.9,
+  medium: 0.6,
+  low: 0.3
+};
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+
+/**
+ * Convert a confidence given by the LLM to a score between 0 and 1
+ * @param {number|string} value - A number, a percentage or a level (high, medium or low)
+ * @returns {number|null} - The score, or null if the value isn't a confidence
+ * @private
+ */
+function toScore(value) {
+  if (typeof value === 'string') {
+    const level = value.trim().toLowerCase();
+    if (CONFIDENCE_LEVELS[level] !== undefined) return CONFIDENCE_LEVELS[level];
+    value = parseFloat(level);
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+  // Some models answer in percent
+  const score = value > 1 ? value / 100 : value;
+  return Math.min(Math.max(score, 0), 1);
+}
+
+/**
+ * Convert the confidence returned by the LLM to field confidence objects
+ * Models give each field's confidence as an object, or sometimes as just a score or level
+ * @param {Object} confidence - The confidence by field name
+ * @returns {Object} - Confidence by field name, each with a `score` and whether the value was `inferred`
+ */
+export function normalizeConfidence(confidence) {
+  if (!confidence || typeof confidence !== 'object' || Array.isArray(confidence)) return {};
+
+  const normalized = {};
+  for (const [field, entry] of Object.entries(confidence)) {
+    if (entry && typeof entry === 'object') {
+      const score = toScore(entry.score !== undefined ? entry.score : entry.confidence !== undefined ? entry.confidence : entry.level);
+      normalized[field] = { score, inferred: entry.inferred === true || entry.inferred === 'true' };
+    } else if (toScore(entry) !== null) {
+      normalized[field] = { score: toScore(entry), inferred: false };
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Check if a field of a person has a value below the confidence threshold
+ * Fields without a confidence score aren't low confidence, as nothing is known about them
+ * @param {Object} person - The person
+ * @param {string} field - The field name
+ * @param {number} threshold - The lowest score that doesn't need review
+ * @returns {boolean} - True if the field has a value and its score is below the threshold
+ */
+export function isLowConfidence(person, field, threshold = DEFAULT_CONFIDENCE_THRESHOLD) {
+  const value = person[field];
+  if (value === null || value === undefined || value === '') return false;
+
+  const confidence = person.confidence && person.confidence[field];
+  return Boolean(confidence && confidence.score !== null && confidence.score < threshold);
+}
+
+/**
+ * Get the fields of a person whose value is below the confidence threshold
+ * @param {Object} person - The person
+ * @param {number} threshold - The lowest score that doesn't need review
+ * @returns {Array<string>} - The field names
+ */
+export function getLowConfidenceFields(person, threshold = DEFAULT_CONFIDENCE_THRESHOLD) {
+  return Object.keys(person).filter(field => !UNSCORED_FIELDS.includes(field) && isLowConfidence(person, field, threshold));
+}
+
+/**
+ * Remove the values below the confidence threshold from a person, e.g. to show only what the document states
+ * @param {Object} person - The person
+ * @param {number} threshold - The lowest score to keep
+ * @returns {Object} - A copy of the person without the low confidence values
+ */
+export function withoutLowConfidenceFields(person, threshold = DEFAULT_CONFIDENCE_THRESHOLD) {
+  const filtered = { ...person };
+  for (const field of getLowConfidenceFields(person, threshold)) {
+    delete filtered[field];
+  }
+  return filtered;
+}
+
+/**
+ * Mark the persons that have values below the confidence threshold for manual review
+ * Each person gets `needs_review` and the `review_fields` that caused it, and every
+ * low confidence value is listed in `review`.
+ * @param {Array<Object>} persons - The extracted persons, with their `confidence`
+ * @param {Object} options - Review options
+ * @param {number} options.threshold - The lowest score that doesn't need review (defaults to 0.7)
+ * @returns {Object} - The marked `persons` and the values to `review`
+ */
+export function applyReviewThreshold(persons, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+  const review = [];
+
+  const marked = persons.map((person, personIndex) => {
+    const reviewFields = getLowConfidenceFields(person, threshold);
+
+    for (const field of reviewFields) {
+      review.push({
+        personIndex,
+        person: `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+        field,
+        value: person[field],
+        score: person.confidence[field].score,
+        inferred: person.confidence[field].inferred
+      });
+    }
+
+    return { ...person, needs_review: reviewFields.length > 0, review_fields: reviewFields };
+  });
+
+  return { persons: marked, review };
+}
@@ -1,131 +1,558 @@
 import { Validator } from 'jsonschema';
-import { PERSON_EXTRACTION_PROMPT } from '../../prompts/person-extraction-prompt.js';
+import { promptRegistry, loadFewShotExamples, formatExamples } from '../../prompts/index.js';
 import { llmFactory } from '../llm/index.js';
-import { extractJsonFromText, normalizePersonsData } from '../json-helpers.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { extractJsonFromText, normalizePersonsData, normalizeListData } from '../json-helpers.js';
+import { normalizeGenealogicalDate, validateGenealogicalDate } from '../genealogical-date.js';
+import { chunkDocument, estimateTokens } from './document-chunker.js';
+import { normalizeCitations, verifyCitations } from './citation-verifier.js';
+import { normalizeConfidence } from './field-confidence.js';
+import { mergePersons, mergeRelationships, mergeVoyages, mergePassages } from './person-merger.js';
+import { normalizeNameFields } from './person-names.js';
+import { loadSchema, EXTRACTION_SCHEMA } from './extraction-schema.js';
+import { removeDisallowedNulls } from '../llm/structured-output.js';
 
-// Get the directory name using import.meta
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Read the schema files the extracted data is validated against
+const personSchema = loadSchema('person');
+const personsSchema = loadSchema('persons');
+const relationshipsSchema = loadSchema('relationships');
+const voyagesSchema = loadSchema('voyages');
+const passagesSchema = loadSchema('passages');
 
-// Read the schema files directly
-const personSchemaPath = path.join(__dirname, '..', '..', 'schemas', 'person-schema.json');
-const personsSchemaPath = path.join(__dirname, '..', '..', 'schemas', 'persons-schema.json');
-const personSchema = JSON.parse(fs.readFileSync(personSchemaPath, 'utf8'));
-const personsSchema = JSON.parse(fs.readFileSync(personsSchemaPath, 'utf8'));
+const PERSON_DATE_FIELDS = ['birth_date', 'death_date', 'burial_date'];
+
+// Output token limit of OpenAI extraction calls (the most gpt-4o can return), as each person
+// carries citations, confidence and events
+const OPENAI_EXTRACTION_MAX_TOKENS = 16384;
+
+// The prompt templates used for extraction (see src/prompts)
+const EXTRACTION_PROMPT_ID = 'person-extraction';
+const REPAIR_PROMPT_ID = 'extraction-repair';
+
+/**
+ * Get the LLM instance and call options for an extraction
+ * @param {Object} options - Options for the extraction process
+ * @param {Object} schema - The response schema of the extraction prompt
+ * @returns {Object} - The `llm` instance and the `llmOptions` to call it with
+ * @private
+ */
+function prepareLLM(options, schema) {
+  // Get an LLM instance (use the specified provider or default)
+  let llm;
+  if (options.llm) {
+    // Use the provided LLM instance directly
+    llm = options.llm;
+  } else if (options.provider) {
+    // Create an LLM with the specified provider
+    llm = llmFactory.create(options.provider);
+  } else {
+    // Use the default provider
+    llm = llmFactory.create();
+  }
+  
+  // Use JSON mode for openai if possible (to ensure proper JSON response)
+  const llmOptions = {
+    ...options.llmOptions
+  };
+  
+  // Special handling for OpenAI (its system prompt is the openai variant of each prompt)
+  if (options.provider === 'openai') {
+    llmOptions.temperature = 0.2;
+    llmOptions.maxTokens = llmOptions.maxTokens || OPENAI_EXTRACTION_MAX_TOKENS;
+  }
+  
+  // Providers that can constrain their output are held to the response schema the prompt
+  // version was written for: OpenAI through a json_schema response format and Claude through tool use
+  llmOptions.jsonSchema = llmOptions.jsonSchema || schema;
+  llmOptions.toolName = llmOptions.toolName || 'record_extraction';
+  
+  return { llm, llmOptions };
+}
+
+/**
+ * Choose the prompt templates for an extraction and load its few-shot examples
+ * @param {Object} options - Options for the extraction process
+ * @returns {Promise<Object>} - The `provider` and `versions` to render the templates for, the extraction
+ * prompt's response `schema`, the formatted `examples` and the `used` list identifying each template,
+ * to record with the result
+ * @private
+ */
+async function preparePrompts(options) {
+  const versions = options.promptVersions || {};
+  const examples = options.fewShot ? await loadFewShotExamples(options.fewShot === true ? {} : options.fewShot) : [];
+  
+  const extraction = promptRegistry.get(EXTRACTION_PROMPT_ID, { version: versions[EXTRACTION_PROMPT_ID], provider: options.provider });
+  const info = { id: extraction.id, version: extraction.version, variant: extraction.variant, hash: extraction.hash };
+  if (examples.length > 0) {
+    console.log(`Using ${examples.length} few-shot example(s): ${examples.map(example => example.name).join(', ')}`);
+    info.examples = examples.map(example => example.name);
+  }
+  
+  return {
+    provider: options.provider,
+    versions,
+    schema: extraction.schema,
+    examples: formatExamples(examples),
+    used: [info]
+  };
+}
+
+/**
+ * Render a prompt template and record that it was used
+ * @param {Object} prompts - The prompts prepared for the extraction
+ * @param {string} id - The template ID
+ * @param {Object} variables - The template's variables
+ * @returns {Object} - The rendered `prompt` and `systemPrompt`
+ * @private
+ */
+function renderPrompt(prompts, id, variables) {
+  const { prompt, systemPrompt, info } = promptRegistry.render(id, variables, {
+    version: prompts.versions[id],
+    provider: prompts.provider
+  });
+  
+  if (!prompts.used.some(used => used.id === info.id)) {
+    prompts.used.push(info);
+  }
+  return { prompt, systemPrompt };
+}
+
+/**
+ * Send a prompt to the LLM and parse the JSON it returns
+ * @param {Object} llm - The LLM instance to call
+ * @param {string} prompt - The prompt
+ * @param {Object} llmOptions - Options for the LLM call
+ * @returns {Promise<Object>} - The parsed JSON
+ * @private
+ */
+async function requestJSON(llm, prompt, llmOptions) {
+  let jsonData;
+  
+  try {
+    // Try to get JSON directly if the LLM supports it
+    jsonData = await llm.generateJSON(prompt, llmOptions);
+    console.log(`Successfully parsed JSON response with ${normalizePersonsData(jsonData).length} person(s)`);
+    
+  } catch (jsonError) {
+    // A response cut off by the token limit would be cut off again as text, and a spent budget stays spent
+    if (jsonError.stopReason === 'max_tokens' || jsonError.budgetExceeded) {
+      throw jsonError;
+    }
+    
+    // Fallback to parsing the text response
+    console.warn('Failed to get JSON directly, parsing text response instead:', jsonError.message);
+    const textResponse = await llm.generateResponse(prompt, llmOptions);
+    
+    // Extract the JSON from the text response
+    jsonData = extractJsonFromText(textResponse);
+    if (!jsonData) {
+      throw new Error(`Could not extract valid JSON from the response. Raw response: ${textResponse.substring(0, 100)}...`);
+    }
+    
+    console.log(`Successfully extracted JSON from text with ${normalizePersonsData(jsonData).length} person(s)`);
+  }
+  
+  return jsonData;
+}
+
+/**
+ * Tidy the JSON returned by the LLM into lists of records
+ * Dates given as text are converted to genealogical dates, and citations, confidence,
+ * events and name lists are put into their expected shape
+ * @param {Object} jsonData - The JSON returned by the LLM
+ * @returns {Object} - The `persons`, `relationships`, `voyages` and `passages`
+ * @private
+ */
+function normalizeExtraction(jsonData) {
+  // A strict schema makes the model give null for every field it has no value for
+  jsonData = removeDisallowedNulls(jsonData, EXTRACTION_SCHEMA);
+  
+  const persons = normalizeDates(normalizePersonsData(jsonData), PERSON_DATE_FIELDS)
+    .map(person => (person && person.citations ? { ...person, citations: normalizeCitations(person.citations) } : person))
+    .map(person => (person && person.confidence ? { ...person, confidence: normalizeConfidence(person.confidence) } : person))
+    .map(person => (person && Array.isArray(person.events) ? { ...person, events: normalizeEvents(person.events) } : person))
+    .map(normalizeNameFields);
+  
+  return {
+    persons,
+    relationships: normalizeDates(normalizeListData(jsonData, 'relationships'), ['marriage_date']),
+    voyages: normalizeDates(normalizeListData(jsonData, 'voyages'), ['arrival_date']),
+    passages: normalizeListData(jsonData, 'passages')
+  };
+}
+
+/**
+ * Ask the LLM for the persons mentioned in a piece of text, the relationships
+ * between them and the voyages they travelled on
+ * @param {Object} llm - The LLM instance to call
+ * @param {string} text - The document text (or a chunk of it)
+ * @param {Object} llmOptions - Options for the LLM call
+ * @param {Object} prompts - The prompts prepared for the extraction
+ * @returns {Promise<Object>} - The `persons`, `relationships`, `voyages` and `passages` returned by the LLM
+ * @private
+ */
+async function requestPersons(llm, text, llmOptions, prompts) {
+  // Prepare the prompt with document text
+  const { prompt, systemPrompt } = renderPrompt(prompts, EXTRACTION_PROMPT_ID, {
+    document_text: text,
+    examples: prompts.examples
+  });
+  return normalizeExtraction(await requestJSON(llm, prompt, { ...llmOptions, systemPrompt }));
+}
+
+/**
+ * Ask the LLM to correct extracted data that failed validation
+ * The validation errors and the data are sent back, with each citation reduced to
+ * its quote as in the original response
+ * @param {Object} llm - The LLM instance to call
+ * @param {Object} extraction - The invalid `persons`, `relationships`, `voyages` and `passages`
+ * @param {Array<Object>} errors - The validation errors
+ * @param {Object} llmOptions - Options for the LLM call
+ * @param {Object} prompts - The prompts prepared for the extraction
+ * @returns {Promise<Object>} - The corrected `persons`, `relationships`, `voyages` and `passages`
+ * @private
+ */
+async function requestRepair(llm, extraction, errors, llmOptions, prompts) {
+  const persons = extraction.persons.map(person => {
+    if (!person || typeof person !== 'object' || !person.citations) return person;
+    
+    const citations = {};
+    for (const [field, citation] of Object.entries(person.citations)) {
+      if (citation && citation.quote) citations[field] = citation.quote;
+    }
+    return { ...person, citations };
+  });
+  
+  const invalidJson = JSON.stringify({
+    persons,
+    relationships: extraction.relationships,
+    voyages: extraction.voyages,
+    passages: extraction.passages
+  }, null, 2);
+  
+  const { prompt, systemPrompt } = renderPrompt(prompts, REPAIR_PROMPT_ID, {
+    validation_errors: errors.map(error => `- ${error.stack}`).join('\n'),
+    invalid_json: invalidJson
+  });
+  
+  return normalizeExtraction(await requestJSON(llm, prompt, { ...llmOptions, systemPrompt }));
+}
+
+/**
+ * Convert the date fields of extracted records to genealogical dates
+ * Models sometimes return a date as text ("circa 1850") instead of an object
+ * @param {Array<Object>} records - The extracted records
+ * @param {Array<string>} fields - The date fields
+ * @returns {Array<Object>} - The records with normalized dates
+ * @private
+ */
+function normalizeDates(records, fields) {
+  return records.map(record => {
+    if (!record || typeof record !== 'object') return record;
+    
+    const normalized = { ...record };
+    for (const field of fields) {
+      if (field in normalized) {
+        normalized[field] = normalizeGenealogicalDate(normalized[field]);
+      }
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Tidy the events on a person's timeline
+ * Anything that isn't an event object is dropped, and event dates are converted to genealogical dates
+ * @param {Array<any>} events - The events returned by the LLM
+ * @returns {Array<Object>} - The events
+ * @private
+ */
+function normalizeEvents(events) {
+  return normalizeDates(events.filter(event => event && typeof event === 'object' && !Array.isArray(event)), ['date']);
+}
+
+/**
+ * Check the dates of extracted records for problems the schemas can't express,
+ * such as the 30th of February or a range that ends before it starts
+ * @param {Array<Object>} records - The extracted records
+ * @param {string} listName - Name of the list, used in error properties
+ * @param {Array<string>} fields - The date fields
+ * @returns {Array<Object>} - Validation errors for invalid dates
+ * @private
+ */
+function findInvalidDates(records, listName, fields) {
+  const errors = [];
+  
+  records.forEach((record, index) => {
+    for (const field of fields) {
+      for (const message of validateGenealogicalDate(record[field])) {
+        const property = `${listName}[${index}].${field}`;
+        errors.push({ property, message, stack: `${property} ${message}` });
+      }
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Check that the records in a list refer to records that were extracted
+ * @param {Array<Object>} list - The records to check
+ * @param {string} listName - Name of the list, used in error properties
+ * @param {string} field - The field holding the reference
+ * @param {Set<string>} knownIds - The IDs that can be referred to
+ * @param {string} kind - What the ID refers to, e.g. 'person'
+ * @returns {Array<Object>} - Validation errors for unknown references
+ * @private
+ */
+function findUnknownReferences(list, listName, field, knownIds, kind) {
+  const errors = [];
+  
+  list.forEach((item, index) => {
+    if (!knownIds.has(item[field])) {
+      const property = `${listName}[${index}].${field}`;
+      const message = `refers to unknown ${kind} "${item[field]}"`;
+      errors.push({ property, message, stack: `${property} ${message}` });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate the extracted relationships, voyages and passages, and the dates of all records
+ * Besides their schemas, relationships must link two different persons that were
+ * extracted, and passages must link an extracted person to an extracted voyage
+ * @param {Object} extracted - The merged `persons`, `relationships`, `voyages` and `passages`
+ * @returns {Array<Object>} - Validation errors, empty if the records are valid
+ * @private
+ */
+function validateLinkedRecords({ persons, relationships, voyages, passages }) {
+  const validator = new Validator();
+  
+  for (const [list, schema] of [[relationships, relationshipsSchema], [voyages, voyagesSchema], [passages, passagesSchema]]) {
+    const validationResult = validator.validate(list, schema);
+    if (!validationResult.valid) {
+      return validationResult.errors;
+    }
+  }
+  
+  const personIds = new Set(persons.map(person => person.id));
+  const voyageIds = new Set(voyages.map(voyage => voyage.id));
+  const errors = [
+    ...findInvalidDates(persons, 'persons', PERSON_DATE_FIELDS),
+    ...persons.flatMap((person, index) => findInvalidDates(person.events || [], `persons[${index}].events`, ['date'])),
+    ...findInvalidDates(relationships, 'relationships', ['marriage_date']),
+    ...findInvalidDates(voyages, 'voyages', ['arrival_date']),
+    ...findUnknownReferences(relationships, 'relationships', 'person_id', personIds, 'person'),
+    ...findUnknownReferences(relationships, 'relationships', 'related_person_id', personIds, 'person'),
+    ...findUnknownReferences(passages, 'passages', 'person_id', personIds, 'person'),
+    ...findUnknownReferences(passages, 'passages', 'voyage_id', voyageIds, 'voyage')
+  ];
+  
+  relationships.forEach((relationship, index) => {
+    if (relationship.person_id === relationship.related_person_id) {
+      const message = 'links a person to themselves';
+      errors.push({ property: `relationships[${index}]`, message, stack: `relationships[${index}] ${message}` });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Combine the records extracted from each chunk into one set for the document
+ * The same person found in several chunks is merged, every person and voyage is
+ * given a document-wide ID, and the citations are checked against the document text
+ * @param {Object} chunkResults - The `personsByChunk`, `relationshipsByChunk`, `voyagesByChunk` and `passagesByChunk`
+ * @param {string} documentText - The document text
+ * @returns {Object} - The `persons`, `relationships`, `voyages`, `passages`, merge `conflicts` and `unsupported` fields
+ * @private
+ */
+function combineExtractions({ personsByChunk, relationshipsByChunk, voyagesByChunk, passagesByChunk }, documentText) {
+  const { persons: mergedPersons, conflicts, idMaps } = mergePersons(personsByChunk);
+  const { relationships, conflicts: relationshipConflicts } = mergeRelationships(relationshipsByChunk, idMaps);
+  const { voyages, conflicts: voyageConflicts, idMaps: voyageIdMaps } = mergeVoyages(voyagesByChunk);
+  const { passages, conflicts: passageConflicts } = mergePassages(passagesByChunk, idMaps, voyageIdMaps);
+  conflicts.push(...relationshipConflicts, ...voyageConflicts, ...passageConflicts);
+  
+  // Check the quotes given as evidence for each field really are in the document
+  const { persons, unsupported } = verifyCitations(mergedPersons, documentText);
+  if (unsupported.length > 0) {
+    console.warn(`Found ${unsupported.length} field value(s) without a supporting quote in the document`);
+  }
+  
+  return { persons, relationships, voyages, passages, conflicts, unsupported };
+}
+
+/**
+ * Validate the extracted records against the schemas
+ * @param {Object} extraction - The `persons`, `relationships`, `voyages` and `passages`
+ * @returns {Array<Object>} - Validation errors, empty if the records are valid
+ */
+export function validateExtraction({ persons, relationships, voyages, passages }) {
+  const validator = new Validator();
+  
+  // Validate against the persons schema
+  const validationResult = validator.validate(persons, personsSchema);
+  if (!validationResult.valid) {
+    return validationResult.errors;
+  }
+  
+  // Also validate each person individually against the person schema
+  for (let i = 0; i < persons.length; i++) {
+    const personValidation = validator.validate(persons[i], personSchema);
+    if (!personValidation.valid) {
+      console.error(`Validation errors in person #${i+1}:`, personValidation.errors);
+      return personValidation.errors;
+    }
+  }
+  
+  // Then check the relationships and passages link known persons and voyages
+  return validateLinkedRecords({ persons, relationships, voyages, passages });
+}
 
 /**
  * Extract persons information from document text using an LLM
+ * Long documents are split into overlapping chunks that are extracted one at a time,
+ * and the same person found in several chunks is merged into one record. Field values
+ * that differ between chunks are returned in `conflicts` rather than silently dropped.
+ * Family relationships between the persons are returned in `relationships`, linked by person `id`,
+ * and the City of Adelaide voyages they travelled on in `voyages` and `passages`.
+ * Each person's `citations` give the quote supporting each field and where it is in the
+ * document text; fields whose quote can't be found are listed in `unsupported`.
  * @param {string} documentText - The text content of the document to analyze
  * @param {Object} options - Options for the extraction process
- * @returns {Promise<Object>} - Result of extraction with person data
+ * @param {Object|boolean} options.chunking - Chunk size options ({ maxTokens, overlapTokens }), or false to send the whole document in one call
+ * @param {number} options.maxRepairAttempts - How many times to send validation errors back to the LLM to be
+ * corrected (defaults to 0, no repair). Each attempt is recorded in `repairAttempts`
+ * @param {Object} options.promptVersions - The version of each prompt template to use, by template ID (defaults to the latest)
+ * @param {Object|boolean} options.fewShot - Show the model worked examples: true for every example in documents/_Tests,
+ * or the examples' `dir`, `names` and most `count` (see loadFewShotExamples)
+ * @returns {Promise<Object>} - Result of extraction with person data, and the prompt templates used in `prompts`
  */
 export async function extractPersonFromDocument(documentText, options = {}) {
   try {
-    // 1. Prepare the prompt with document text
-    const prompt = PERSON_EXTRACTION_PROMPT.replace('[DOCUMENT_TEXT]', documentText);
-    
-    // 2. Get an LLM instance (use the specified provider or default)
-    let llm;
-    if (options.llm) {
-      // Use the provided LLM instance directly
-      llm = options.llm;
-    } else if (options.provider) {
-      // Create an LLM with the specified provider
-      llm = llmFactory.create(options.provider);
-    } else {
-      // Use the default provider
-      llm = llmFactory.create();
-    }
+    // 1. Get the prompts to send, and an LLM instance and the options to call it with
+    const prompts = await preparePrompts(options);
+    const { llm, llmOptions } = prepareLLM(options, prompts.schema);
     
-    // 3. Call the LLM with the prompt
+    // 2. Split long documents into chunks that fit in one call
+    const chunks = options.chunking === false
+      ? [{ index: 0, text: documentText }]
+      : chunkDocument(documentText, options.chunking);
+    
+    // 3. Call the LLM for each chunk
     console.log(`Calling LLM (${options.provider || 'default'} provider) to extract persons data...`);
-    let personsData;
+    const personsByChunk = [];
+    const relationshipsByChunk = [];
+    const voyagesByChunk = [];
+    const passagesByChunk = [];
     
-    // Use JSON mode for openai if possible (to ensure proper JSON response)
-    const llmOptions = {
-      ...options.llmOptions
-    };
+    if (chunks.length > 1) {
+      console.log(`Document is about ${estimateTokens(documentText)} tokens, extracting from ${chunks.length} chunks`);
+    }
     
-    // Special handling for OpenAI to ensure proper JSON response
-    if (options.provider === 'openai') {
-      llmOptions.systemPrompt = 'You are a specialized assistant for extracting historical biographical information. Return your response as a valid JSON object with a "persons" array containing all people.';
-      llmOptions.model = llmOptions.model || 'gpt-4-turbo';
-      llmOptions.temperature = 0.2;
-      // Get raw response format
-      llmOptions.responseFormat = { type: "json_object" };
-    } else {
-      llmOptions.systemPrompt = 'You are a specialized assistant for extracting historical biographical information. Your output should ALWAYS be valid JSON only.';
+    for (const chunk of chunks) {
+      if (chunks.length > 1) {
+        console.log(`Extracting chunk ${chunk.index + 1}/${chunks.length}...`);
+      }
+      const chunkData = await requestPersons(llm, chunk.text, llmOptions, prompts);
+      personsByChunk.push(chunkData.persons);
+      relationshipsByChunk.push(chunkData.relationships);
+      voyagesByChunk.push(chunkData.voyages);
+      passagesByChunk.push(chunkData.passages);
     }
     
-    try {
-      // Try to get JSON directly if the LLM supports it
-      personsData = await llm.generateJSON(prompt, llmOptions);
-      personsData = normalizePersonsData(personsData);
-      console.log(`Successfully parsed JSON response with ${personsData.length} person(s)`);
-      
-    } catch (jsonError) {
-      // Fallback to parsing the text response
-      console.warn('Failed to get JSON directly, parsing text response instead:', jsonError.message);
-      const textResponse = await llm.generateResponse(prompt, llmOptions);
+    // Reconcile the same person appearing in several chunks. This also gives every
+    // person and voyage a document-wide ID, so it is done for single chunk documents too
+    let extraction = combineExtractions({ personsByChunk, relationshipsByChunk, voyagesByChunk, passagesByChunk }, documentText);
+    let conflicts = extraction.conflicts;
+    
+    if (chunks.length > 1) {
+      console.log(`Merged ${personsByChunk.flat().length} extracted record(s) into ${extraction.persons.length} person(s)`);
       
-      // Extract and normalize the JSON from the text response
-      const extractedJson = extractJsonFromText(textResponse);
-      if (!extractedJson) {
-        throw new Error(`Could not extract valid JSON from the response. Raw response: ${textResponse.substring(0, 100)}...`);
+      if (conflicts.length > 0) {
+        console.warn(`Found ${conflicts.length} conflicting field value(s) between chunks`);
       }
-      
-      personsData = normalizePersonsData(extractedJson);
-      console.log(`Successfully extracted JSON from text with ${personsData.length} person(s)`);
     }
     
-    // Check if we received a single person object or an array
-    const isArrayResponse = Array.isArray(personsData);
-    
     // 4. Validate the extracted data against the schema
-    const validator = new Validator();
+    let errors = validateExtraction(extraction);
     
-    let validationResult;
+    // 5. Optionally send the validation errors back to the LLM to correct the data
+    const maxRepairAttempts = options.maxRepairAttempts || 0;
+    const repairAttempts = [];
     
-    if (isArrayResponse) {
-      // If it's an array, validate against the persons schema
-      validationResult = validator.validate(personsData, personsSchema);
+    while (errors.length > 0 && repairAttempts.length < maxRepairAttempts) {
+      const attempt = { attempt: repairAttempts.length + 1, errors: errors.map(error => error.stack) };
+      repairAttempts.push(attempt);
+      console.log(`Asking the LLM to fix ${errors.length} validation error(s) (attempt ${attempt.attempt}/${maxRepairAttempts})...`);
       
-      // Also validate each person individually against the person schema
-      if (validationResult.valid) {
-        for (let i = 0; i < personsData.length; i++) {
-          const personValidation = validator.validate(personsData[i], personSchema);
-          if (!personValidation.valid) {
-            console.error(`Validation errors in person #${i+1}:`, personValidation.errors);
-            validationResult = personValidation;
-            break;
-          }
+      try {
+        const repaired = await requestRepair(llm, extraction, errors, llmOptions, prompts);
+        const candidate = combineExtractions({
+          personsByChunk: [repaired.persons],
+          relationshipsByChunk: [repaired.relationships],
+          voyagesByChunk: [repaired.voyages],
+          passagesByChunk: [repaired.passages]
+        }, documentText);
+        const remaining = validateExtraction(candidate);
+        
+        attempt.fixed = attempt.errors.filter(stack => !remaining.some(error => error.stack === stack));
+        attempt.remaining = remaining.map(error => error.stack);
+        
+        // Only keep a correction that leaves fewer errors than it started with. The
+        // conflicts then come from the corrected data, as the old ones may not describe it
+        attempt.accepted = remaining.length < errors.length;
+        if (attempt.accepted) {
+          extraction = candidate;
+          errors = remaining;
+          conflicts = candidate.conflicts;
         }
+      } catch (error) {
+        console.error(`Repair attempt ${attempt.attempt} failed:`, error.message);
+        attempt.error = error.message;
+        attempt.accepted = false;
       }
-    } else {
-      // If it's a single object, validate against the person schema
-      validationResult = validator.validate(personsData, personSchema);
     }
     
-    if (!validationResult.valid) {
-      console.error("Validation errors:", validationResult.errors);
-      // Attempt to return partial data if possible
-      const partialData = isArrayResponse ? personsData : [personsData];
+    const { persons: personsData, relationships, voyages, passages, unsupported } = extraction;
+    
+    if (errors.length > 0) {
+      console.error("Validation errors:", errors);
+      // Return the partial data so it can be reviewed
       return { 
         success: false, 
-        errors: validationResult.errors,
-        data: partialData
+        errors,
+        data: personsData,
+        relationships,
+        voyages,
+        passages,
+        conflicts,
+        unsupported,
+        repairAttempts,
+        chunkCount: chunks.length,
+        prompts: prompts.used
       };
     }
     
-    // 5. Return the validated person data (always as an array for consistency)
-    const finalData = isArrayResponse ? personsData : [personsData];
-    console.log(`Successfully extracted ${finalData.length} person(s) from document`);
+    if (repairAttempts.length > 0) {
+      console.log(`Validation errors fixed after ${repairAttempts.length} repair attempt(s)`);
+    }
+    
+    // 6. Return the validated person data
+    console.log(`Successfully extracted ${personsData.length} person(s), ${relationships.length} relationship(s) and ${voyages.length} voyage(s) from document`);
     return { 
       success: true, 
-      data: finalData
+      data: personsData,
+      relationships,
+      voyages,
+      passages,
+      conflicts,
+      unsupported,
+      repairAttempts,
+      chunkCount: chunks.length,
+      prompts: prompts.used
     };
   } catch (error) {
     console.error("Error extracting persons from document:", error);
@@ -0,0 +1,413 @@
+import { compareGenealogicalDates, datesOverlap, formatGenealogicalDate, isGenealogicalDate } from '../genealogical-date.js';
+import { NAME_LIST_FIELDS, namesMatch, normalizeName } from './person-names.js';
+
+/**
+ * Merges the persons extracted from separate chunks of one document
+ * The same person is often described in more than one chunk (especially in the
+ * overlap between chunks), so matching records are combined into one and any
+ * fields where the chunks disagree are reported as conflicts. The relationships,
+ * voyages and passages that link the persons are merged the same way.
+ */
+
+// Fields that are not compared between chunks: IDs are reassigned, citations and
+// confidence follow their field, events are combined into one timeline and name lists are combined
+const UNMERGED_FIELDS = ['id', 'citations', 'confidence', 'events', ...NAME_LIST_FIELDS];
+
+/**
+ * Normalize a value for comparison (case, surrounding and repeated whitespace)
+ * Genealogical dates are compared by their meaning, not how they were written
+ * @param {any} value - The value to normalize
+ * @returns {string} - The normalized value
+ */
+export function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (isGenealogicalDate(value)) return formatGenealogicalDate(value);
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check if a field has a usable value
+ * @param {any} value - The field value
+ * @returns {boolean} - True if the value is not null, undefined or empty
+ */
+export function hasValue(value) {
+  return normalizeValue(value) !== '';
+}
+
+/**
+ * Add a later chunk's citations and confidence to a merged person
+ * They are only taken for a field whose merged value the chunk agrees with,
+ * so the quote and confidence always describe the value that was kept
+ * @param {Object} merged - The merged person
+ * @param {Object} person - The person extracted from the later chunk
+ * @private
+ */
+function mergeCitations(merged, person) {
+  for (const key of ['citations', 'confidence']) {
+    if (!person[key]) continue;
+
+    const entries = { ...merged[key] };
+    for (const [field, entry] of Object.entries(person[key])) {
+      if (!entries[field] && normalizeValue(merged[field]) === normalizeValue(person[field])) {
+        entries[field] = entry;
+      }
+    }
+    merged[key] = entries;
+  }
+}
+
+/**
+ * Add a later chunk's events to a merged person's timeline
+ * An event with the same type, date and place as one already on the timeline is
+ * the same event, and only fills in the details the first one was missing
+ * @param {Object} merged - The merged person
+ * @param {Object} person - The person extracted from the later chunk
+ */
+export function mergeEvents(merged, person) {
+  if (!Array.isArray(person.events)) return;
+
+  const events = Array.isArray(merged.events) ? [...merged.events] : [];
+  const getKey = event => ['type', 'date', 'place'].map(field => normalizeValue(event[field])).join('|');
+
+  for (const event of person.events) {
+    const index = events.findIndex(existing => getKey(existing) === getKey(event));
+    if (index === -1) {
+      events.push(event);
+      continue;
+    }
+
+    const combined = { ...events[index] };
+    for (const [field, value] of Object.entries(event)) {
+      if (!hasValue(combined[field])) combined[field] = value;
+    }
+    events[index] = combined;
+  }
+  merged.events = events;
+}
+
+/**
+ * Add a later chunk's married surnames, aliases and name variants to a merged person
+ * @param {Object} merged - The merged person
+ * @param {Object} person - The person extracted from the later chunk
+ */
+export function mergeNameLists(merged, person) {
+  for (const field of NAME_LIST_FIELDS) {
+    if (!Array.isArray(person[field])) continue;
+
+    const names = Array.isArray(merged[field]) ? [...merged[field]] : [];
+    for (const name of person[field]) {
+      if (!names.some(existing => normalizeName(existing) === normalizeName(name))) names.push(name);
+    }
+    merged[field] = names;
+  }
+}
+
+/**
+ * Check if two extracted records could describe the same person
+ * Records match on first and last name (any of the names they were known by), unless
+ * their birth or death dates can't be the same date (which happens when a father and
+ * son share a name)
+ * @param {Object} a - The first person
+ * @param {Object} b - The second person
+ * @returns {boolean} - True if the records can be merged
+ */
+export function isSamePerson(a, b) {
+  if (!namesMatch(a, b)) {
+    return false;
+  }
+
+  for (const field of ['birth_date', 'death_date']) {
+    if (!datesOverlap(a[field], b[field])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Merge the persons extracted from each chunk of a document
+ * Persons from the same chunk are never merged with each other, the LLM has already
+ * told them apart. When two chunks give different values for a field the value from
+ * the earlier chunk is kept and the disagreement is recorded as a conflict.
+ * The events found for a person in each chunk are combined into one timeline, in date order.
+ * Person IDs are only unique within a chunk, so the merged persons are given new
+ * sequential IDs (p1, p2, ...) and `idMaps` maps each chunk's IDs to the new ones.
+ * @param {Array<Array<Object>>} personsByChunk - The persons extracted from each chunk, in document order
+ * @returns {Object} - The merged `persons`, a list of `conflicts` and the `idMaps` for each chunk
+ */
+export function mergePersons(personsByChunk) {
+  const merged = [];
+  const entriesByChunk = [];
+
+  personsByChunk.forEach((chunkPersons, chunkIndex) => {
+    const matchedInChunk = new Set();
+    const chunkEntries = new Map();
+    entriesByChunk.push(chunkEntries);
+
+    for (const person of chunkPersons) {
+      const match = merged.find(entry =>
+        !matchedInChunk.has(entry) && isSamePerson(entry.person, person)
+      );
+
+      if (!match) {
+        const entry = { person: { ...person }, chunks: [chunkIndex], values: {} };
+        for (const [field, value] of Object.entries(person)) {
+          if (!UNMERGED_FIELDS.includes(field) && hasValue(value)) entry.values[field] = [{ value, chunk: chunkIndex }];
+        }
+        merged.push(entry);
+        matchedInChunk.add(entry);
+        if (hasValue(person.id)) chunkEntries.set(person.id, entry);
+        continue;
+      }
+
+      matchedInChunk.add(match);
+      match.chunks.push(chunkIndex);
+      if (hasValue(person.id)) chunkEntries.set(person.id, match);
+
+      for (const [field, value] of Object.entries(person)) {
+        if (UNMERGED_FIELDS.includes(field)) continue;
+
+        if (!hasValue(value)) {
+          if (!(field in match.person)) match.person[field] = value;
+          continue;
+        }
+
+        const seen = match.values[field] || (match.values[field] = []);
+        if (!seen.some(entry => normalizeValue(entry.value) === normalizeValue(value))) {
+          seen.push({ value, chunk: chunkIndex });
+        }
+
+        // Fill in fields the earlier chunks didn't have
+        if (!hasValue(match.person[field])) {
+          match.person[field] = value;
+        }
+      }
+
+      mergeCitations(match.person, person);
+      mergeEvents(match.person, person);
+      mergeNameLists(match.person, person);
+    }
+  });
+
+  const conflicts = [];
+  merged.forEach((entry, index) => {
+    for (const [field, values] of Object.entries(entry.values)) {
+      if (values.length > 1) {
+        conflicts.push({
+          personIndex: index,
+          person: `${entry.person.first_name || ''} ${entry.person.last_name || ''}`.trim(),
+          field,
+          keptValue: entry.person[field],
+          values: values.map(({ value, chunk }) => ({ value, chunk }))
+        });
+      }
+    }
+  });
+
+  // Give every merged person a new ID that is unique across the whole document
+  merged.forEach((entry, index) => {
+    const fields = { ...entry.person };
+    delete fields.id;
+    entry.person = { id: `p${index + 1}`, ...fields };
+
+    // Put each person's timeline in date order (undated events last)
+    if (Array.isArray(entry.person.events)) {
+      entry.person.events = [...entry.person.events].sort((a, b) => compareGenealogicalDates(a.date, b.date));
+    }
+  });
+
+  const idMaps = entriesByChunk.map(chunkEntries =>
+    new Map(Array.from(chunkEntries, ([id, entry]) => [id, entry.person.id]))
+  );
+
+  return {
+    persons: merged.map(entry => entry.person),
+    conflicts,
+    idMaps
+  };
+}
+
+/**
+ * Translate a chunk's ID to the merged ID
+ * IDs that aren't in the chunk become "unknown:<id>", so they can't be mistaken
+ * for a merged ID and validation reports them
+ * @param {Map} idMap - The chunk to merged ID map
+ * @param {string} id - The ID used in the chunk
+ * @returns {string} - The merged ID
+ * @private
+ */
+function mapId(idMap, id) {
+  return (idMap && idMap.get(id)) || `unknown:${id}`;
+}
+
+/**
+ * Merge records that link other records (relationships and passages) across chunks
+ * Records with the same key are kept once, filling in fields earlier chunks didn't have
+ * and recording a conflict when two chunks give different values
+ * @param {Array<Array<Object>>} linksByChunk - The records extracted from each chunk, in document order
+ * @param {Object} options - How to merge the records
+ * @param {Function} options.mapIds - Returns a copy of a record with merged IDs, given the record and chunk index
+ * @param {Function} options.getKey - Returns the key identifying a record
+ * @param {string} options.label - The conflict property naming the record, e.g. 'relationship'
+ * @param {Function} options.describe - Returns a description of a record for conflicts
+ * @param {Array<string>} options.fields - The fields to reconcile
+ * @returns {Object} - The merged `links` and a list of `conflicts`
+ * @private
+ */
+function mergeLinks(linksByChunk, { mapIds, getKey, label, describe, fields }) {
+  const merged = new Map();
+  const firstChunks = new Map();
+  const conflicts = [];
+
+  linksByChunk.forEach((chunkLinks, chunkIndex) => {
+    for (const link of chunkLinks) {
+      const mapped = mapIds(link, chunkIndex);
+      const key = getKey(mapped);
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, mapped);
+        firstChunks.set(key, chunkIndex);
+        continue;
+      }
+
+      for (const field of fields) {
+        if (!hasValue(mapped[field])) continue;
+
+        if (!hasValue(existing[field])) {
+          existing[field] = mapped[field];
+        } else if (normalizeValue(existing[field]) !== normalizeValue(mapped[field])) {
+          conflicts.push({
+            [label]: describe(existing),
+            field,
+            keptValue: existing[field],
+            values: [
+              { value: existing[field], chunk: firstChunks.get(key) },
+              { value: mapped[field], chunk: chunkIndex }
+            ]
+          });
+        }
+      }
+    }
+  });
+
+  return {
+    links: Array.from(merged.values()),
+    conflicts
+  };
+}
+
+/**
+ * Merge the relationships extracted from each chunk of a document
+ * Person IDs are translated to the merged IDs, and relationships found in more
+ * than one chunk are kept once
+ * @param {Array<Array<Object>>} relationshipsByChunk - The relationships extracted from each chunk, in document order
+ * @param {Array<Map>} idMaps - The chunk to merged person ID maps returned by mergePersons
+ * @returns {Object} - The merged `relationships` and a list of `conflicts`
+ */
+export function mergeRelationships(relationshipsByChunk, idMaps) {
+  const { links, conflicts } = mergeLinks(relationshipsByChunk, {
+    mapIds: (relationship, chunkIndex) => ({
+      ...relationship,
+      person_id: mapId(idMaps[chunkIndex], relationship.person_id),
+      related_person_id: mapId(idMaps[chunkIndex], relationship.related_person_id)
+    }),
+    getKey: relationship => {
+      // spouse_of and sibling_of are symmetric, so either direction is the same relationship
+      const ids = [relationship.person_id, relationship.related_person_id];
+      return `${relationship.type}|${relationship.type === 'parent_of' ? ids.join('|') : ids.sort().join('|')}`;
+    },
+    label: 'relationship',
+    describe: relationship => `${relationship.person_id} ${relationship.type} ${relationship.related_person_id}`,
+    fields: ['marriage_date', 'marriage_place']
+  });
+
+  return { relationships: links, conflicts };
+}
+
+/**
+ * Merge the voyages extracted from each chunk of a document
+ * The City of Adelaide made one voyage to South Australia a year, so voyages
+ * from different chunks with the same year are the same voyage. The merged
+ * voyages are given new IDs (v1, v2, ...) like mergePersons does for persons.
+ * @param {Array<Array<Object>>} voyagesByChunk - The voyages extracted from each chunk, in document order
+ * @returns {Object} - The merged `voyages`, a list of `conflicts` and the `idMaps` for each chunk
+ */
+export function mergeVoyages(voyagesByChunk) {
+  const merged = [];
+  const conflicts = [];
+
+  const idMaps = voyagesByChunk.map((chunkVoyages, chunkIndex) => {
+    const idMap = new Map();
+
+    for (const voyage of chunkVoyages) {
+      let entry = hasValue(voyage.year) && merged.find(item => normalizeValue(item.voyage.year) === normalizeValue(voyage.year));
+
+      if (!entry) {
+        entry = { voyage: { ...voyage }, chunk: chunkIndex };
+        merged.push(entry);
+      } else {
+        for (const [field, value] of Object.entries(voyage)) {
+          if (field === 'id' || !hasValue(value)) continue;
+
+          if (!hasValue(entry.voyage[field])) {
+            entry.voyage[field] = value;
+          } else if (normalizeValue(entry.voyage[field]) !== normalizeValue(value)) {
+            conflicts.push({
+              voyage: `${entry.voyage.year} voyage`,
+              field,
+              keptValue: entry.voyage[field],
+              values: [
+                { value: entry.voyage[field], chunk: entry.chunk },
+                { value, chunk: chunkIndex }
+              ]
+            });
+          }
+        }
+      }
+
+      if (hasValue(voyage.id)) idMap.set(voyage.id, entry);
+    }
+
+    return idMap;
+  });
+
+  // Give every merged voyage a new ID that is unique across the whole document
+  merged.forEach((entry, index) => {
+    const fields = { ...entry.voyage };
+    delete fields.id;
+    entry.voyage = { id: `v${index + 1}`, ...fields };
+  });
+
+  return {
+    voyages: merged.map(entry => entry.voyage),
+    conflicts,
+    idMaps: idMaps.map(idMap => new Map(Array.from(idMap, ([id, entry]) => [id, entry.voyage.id])))
+  };
+}
+
+/**
+ * Merge the passages extracted from each chunk of a document
+ * Person and voyage IDs are translated to the merged IDs, and a person's passage
+ * on a voyage found in more than one chunk is kept once
+ * @param {Array<Array<Object>>} passagesByChunk - The passages extracted from each chunk, in document order
+ * @param {Array<Map>} personIdMaps - The chunk to merged person ID maps returned by mergePersons
+ * @param {Array<Map>} voyageIdMaps - The chunk to merged voyage ID maps returned by mergeVoyages
+ * @returns {Object} - The merged `passages` and a list of `conflicts`
+ */
+export function mergePassages(passagesByChunk, personIdMaps, voyageIdMaps) {
+  const { links, conflicts } = mergeLinks(passagesByChunk, {
+    mapIds: (passage, chunkIndex) => ({
+      ...passage,
+      person_id: mapId(personIdMaps[chunkIndex], passage.person_id),
+      voyage_id: mapId(voyageIdMaps[chunkIndex], passage.voyage_id)
+    }),
+    getKey: passage => `${passage.person_id}|${passage.voyage_id}`,
+    label: 'passage',
+    describe: passage => `${passage.person_id} on ${passage.voyage_id}`,
+    fields: ['role', 'berth_class', 'age_on_embarkation', 'notes']
+  });
+
+  return { passages: links, conflicts };
+}
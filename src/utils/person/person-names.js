@@ -0,0 +1,138 @@
+/**
+ * Handles the different names a person is recorded under
+ * Women appear under their maiden and married surnames, spellings drift between
+ * records (Badgett and Budgett), and people are known by nicknames and aliases.
+ * These helpers collect every name a person was known by, so that records can be
+ * matched and searched by any of them.
+ */
+
+// Name fields that hold a list of names
+export const NAME_LIST_FIELDS = ['married_surnames', 'aliases', 'name_variants'];
+
+// Words that are not part of a name when comparing names
+const TITLES = ['mr', 'mrs', 'miss', 'ms', 'master', 'dr', 'rev', 'reverend', 'capt', 'captain', 'sir', 'lady'];
+const SUFFIXES = ['jr', 'jnr', 'junior', 'sr', 'snr', 'senior', 'ii', 'iii', 'iv'];
+
+/**
+ * Normalize a name for comparison
+ * Case, accents, punctuation, titles and suffixes are ignored
+ * @param {string} name - The name
+ * @returns {string} - The normalized name
+ */
+export function normalizeName(name) {
+  if (typeof name !== 'string') return '';
+
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word && !TITLES.includes(word) && !SUFFIXES.includes(word))
+    .join(' ');
+}
+
+/**
+ * Tidy the name fields returned by the LLM
+ * Name lists given as a single string are split at commas or semicolons, blank and
+ * repeated names are dropped, and empty lists are removed
+ * @param {Object} person - The extracted person
+ * @returns {Object} - The person with tidied name fields
+ */
+export function normalizeNameFields(person) {
+  if (!person || typeof person !== 'object') return person;
+
+  const normalized = { ...person };
+  for (const field of NAME_LIST_FIELDS) {
+    if (!(field in normalized)) continue;
+
+    let names = normalized[field];
+    if (typeof names === 'string') names = names.split(/[,;]/);
+    if (!Array.isArray(names)) names = [];
+
+    const unique = [];
+    for (const name of names) {
+      if (typeof name !== 'string' || name.trim() === '') continue;
+      if (!unique.some(existing => normalizeName(existing) === normalizeName(name))) unique.push(name.trim());
+    }
+
+    if (unique.length > 0) {
+      normalized[field] = unique;
+    } else {
+      delete normalized[field];
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Get every surname a person was known by: their last name, birth surname and married surnames
+ * @param {Object} person - The person
+ * @returns {Array<string>} - The normalized surnames
+ */
+export function getSurnames(person) {
+  const surnames = [person.last_name, person.birth_surname, ...(person.married_surnames || [])]
+    .map(normalizeName)
+    .filter(Boolean);
+  return [...new Set(surnames)];
+}
+
+/**
+ * Get every full name a person was known by
+ * Their first name with each of their surnames, their aliases and the other
+ * spellings of their name found in the document
+ * @param {Object} person - The person
+ * @returns {Array<string>} - The normalized full names
+ */
+export function getNameVariants(person) {
+  const firstName = normalizeName(person.first_name);
+  const names = getSurnames(person).map(surname => `${firstName} ${surname}`.trim());
+
+  for (const name of [...(person.aliases || []), ...(person.name_variants || [])]) {
+    names.push(normalizeName(name));
+  }
+
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Get the first and last word of each of a person's names, for matching names
+ * regardless of middle names
+ * @param {Object} person - The person
+ * @returns {Set<string>} - Keys of the form "first|last"
+ * @private
+ */
+function getNameKeys(person) {
+  const keys = new Set();
+  for (const name of getNameVariants(person)) {
+    const words = name.split(' ');
+    keys.add(`${words[0]}|${words[words.length - 1]}`);
+  }
+  return keys;
+}
+
+/**
+ * Check whether two persons share a name
+ * Any of their names may match, so a woman recorded under her maiden name in one
+ * record and her married name in another matches if either record gives both
+ * @param {Object} a - The first person
+ * @param {Object} b - The second person
+ * @returns {boolean} - True if the persons were known by the same first and last name
+ */
+export function namesMatch(a, b) {
+  const keys = getNameKeys(a);
+  return [...getNameKeys(b)].some(key => keys.has(key));
+}
+
+/**
+ * Get the terms a stored person can be searched by
+ * Each of their full names and surnames, normalized, for `contains` filters on
+ * the `search_names` field of the Amplify Person model
+ * @param {Object} person - The person
+ * @returns {Array<string>} - The search terms
+ */
+export function getSearchNames(person) {
+  return [...new Set([...getNameVariants(person), ...getSurnames(person)])];
+}
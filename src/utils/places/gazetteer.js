@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get the directory name using import.meta
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '..', '..', 'data', 'gazetteer.json');
+
+/**
+ * Normalize a place name for lookup
+ * Case, accents, punctuation and common abbreviations ("St.", "Mt") are ignored, as are
+ * administrative prefixes such as "Metropolitan Borough of"
+ * @param {string} name - The place name
+ * @returns {string} - The normalized name
+ */
+export function normalizePlaceName(name) {
+  if (typeof name !== 'string') return '';
+
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|metropolitan borough of|borough of|parish of|county of)\s+/, '')
+    .replace(/\bsaint\b/g, 'st')
+    .replace(/\bmt\b/g, 'mount');
+}
+
+/**
+ * A local gazetteer of historical places, each with a canonical ID, its parent
+ * place and coordinates, used to normalize the place names extracted from documents
+ */
+export class Gazetteer {
+  /**
+   * @param {Array<Object>} places - The places, each with `id`, `name`, `type`, `parent_id`,
+   * `alternate_names`, `latitude` and `longitude`
+   */
+  constructor(places = []) {
+    this.places = new Map();
+    this.placesByName = new Map();
+
+    for (const place of places) {
+      this.places.set(place.id, place);
+
+      for (const name of [place.name, ...(place.alternate_names || [])]) {
+        const key = normalizePlaceName(name);
+        if (!this.placesByName.has(key)) this.placesByName.set(key, []);
+        if (!this.placesByName.get(key).includes(place)) this.placesByName.get(key).push(place);
+      }
+    }
+  }
+
+  /**
+   * Load a gazetteer from a JSON file
+   * @param {string} filePath - Path to the gazetteer file (defaults to src/data/gazetteer.json)
+   * @returns {Gazetteer} - The gazetteer
+   */
+  static load(filePath = DEFAULT_GAZETTEER_PATH) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new Gazetteer(data.places || []);
+  }
+
+  /**
+   * Get a place by its ID
+   * @param {string} id - The place ID
+   * @returns {Object|null} - The place, or null if there is no place with the ID
+   */
+  getPlace(id) {
+    return this.places.get(id) || null;
+  }
+
+  /**
+   * Find the places with a name or alternate name
+   * @param {string} name - The place name
+   * @returns {Array<Object>} - The matching places (several when a name is used in more than one country)
+   */
+  findByName(name) {
+    return this.placesByName.get(normalizePlaceName(name)) || [];
+  }
+
+  /**
+   * Get the places a place is within, nearest first
+   * @param {string} id - The place ID
+   * @returns {Array<Object>} - The parent, grandparent, ... of the place
+   */
+  getAncestors(id) {
+    const ancestors = [];
+    let place = this.getPlace(id);
+
+    while (place && place.parent_id && !ancestors.includes(this.getPlace(place.parent_id))) {
+      place = this.getPlace(place.parent_id);
+      if (place) ancestors.push(place);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Get the full name of a place, e.g. "Halifax, Yorkshire, England, United Kingdom"
+   * @param {string} id - The place ID
+   * @returns {string} - The place and the places it is within
+   */
+  getHierarchy(id) {
+    const place = this.getPlace(id);
+    if (!place) return '';
+
+    return [place, ...this.getAncestors(id)].map(item => item.name).join(', ');
+  }
+}
+
+// Shared gazetteer loaded from src/data/gazetteer.json
+export const gazetteer = Gazetteer.load();
@@ -0,0 +1,128 @@
+/**
+ * Maps the place names extracted from documents to canonical gazetteer places
+ * The same place is written many ways ("Adelaide, South Australia", "Adelaide, Australia"),
+ * so each place field is matched to a gazetteer entry to allow grouping people by place.
+ * The extracted text is kept unchanged; the match is recorded in the person's `places`.
+ */
+
+import { gazetteer as defaultGazetteer, normalizePlaceName } from './gazetteer.js';
+
+export const PLACE_FIELDS = ['birth_place', 'death_place', 'burial_place'];
+
+export const PLACE_MATCH = {
+  // The most specific part of the place was found
+  MATCHED: 'matched',
+  // Only a less specific part was found, e.g. the town a cemetery that isn't in the gazetteer is in
+  PARTIAL: 'partial',
+  // More than one place has the name and the rest of the text doesn't say which
+  AMBIGUOUS: 'ambiguous',
+  UNMATCHED: 'unmatched'
+};
+
+/**
+ * Check whether a candidate place agrees with the less specific parts of the text
+ * Every part that names a gazetteer place must name one of the candidate's ancestors
+ * @param {Object} candidate - The candidate place
+ * @param {Array<string>} laterParts - The less specific parts of the place text
+ * @param {Gazetteer} gazetteer - The gazetteer
+ * @returns {Object} - Whether the candidate is `consistent`, and the `score` (parts naming an ancestor)
+ * @private
+ */
+function checkCandidate(candidate, laterParts, gazetteer) {
+  const ancestorIds = new Set(gazetteer.getAncestors(candidate.id).map(place => place.id));
+  let score = 0;
+
+  for (const part of laterParts) {
+    const places = gazetteer.findByName(part);
+    if (places.length === 0) continue;
+
+    if (!places.some(place => ancestorIds.has(place.id))) {
+      return { consistent: false, score };
+    }
+    score++;
+  }
+
+  return { consistent: true, score };
+}
+
+/**
+ * Match a place as written in a document to a gazetteer place
+ * The text is split at commas into parts from most to least specific, and the most
+ * specific part that names a place consistent with the rest of the text is used,
+ * so "Brighton, South Australia" isn't matched to Brighton in Sussex
+ * @param {string} text - The place text, e.g. "Halifax, West Yorkshire, England"
+ * @param {Gazetteer} gazetteer - The gazetteer to match against
+ * @returns {Object} - The `match` (see PLACE_MATCH), the matched `place` and the candidate IDs if ambiguous
+ */
+export function matchPlace(text, gazetteer = defaultGazetteer) {
+  const parts = String(text || '').split(',').map(normalizePlaceName).filter(Boolean);
+
+  for (let i = 0; i < parts.length; i++) {
+    const candidates = gazetteer.findByName(parts[i])
+      .map(place => ({ place, ...checkCandidate(place, parts.slice(i + 1), gazetteer) }))
+      .filter(candidate => candidate.consistent);
+
+    if (candidates.length === 0) continue;
+
+    const bestScore = Math.max(...candidates.map(candidate => candidate.score));
+    const best = candidates.filter(candidate => candidate.score === bestScore);
+
+    if (best.length > 1) {
+      return { match: PLACE_MATCH.AMBIGUOUS, place: null, candidates: best.map(candidate => candidate.place.id) };
+    }
+
+    return { match: i === 0 ? PLACE_MATCH.MATCHED : PLACE_MATCH.PARTIAL, place: best[0].place, candidates: [] };
+  }
+
+  return { match: PLACE_MATCH.UNMATCHED, place: null, candidates: [] };
+}
+
+/**
+ * Normalize the place fields of extracted persons
+ * Each person gets a `places` object recording the gazetteer match for each place
+ * field. Places that aren't matched exactly are listed in `review`.
+ * @param {Array<Object>} persons - The extracted persons
+ * @param {Object} options - Normalization options
+ * @param {Gazetteer} options.gazetteer - The gazetteer to use (defaults to src/data/gazetteer.json)
+ * @returns {Object} - The `persons` with their `places` and the places to `review`
+ */
+export function normalizePersonPlaces(persons, options = {}) {
+  const gazetteer = options.gazetteer || defaultGazetteer;
+  const review = [];
+
+  const normalized = persons.map((person, personIndex) => {
+    const places = {};
+
+    for (const field of PLACE_FIELDS) {
+      if (typeof person[field] !== 'string' || person[field].trim() === '') continue;
+
+      const { match, place, candidates } = matchPlace(person[field], gazetteer);
+      places[field] = place
+        ? {
+          place_id: place.id,
+          name: place.name,
+          hierarchy: gazetteer.getHierarchy(place.id),
+          latitude: place.latitude,
+          longitude: place.longitude,
+          match
+        }
+        : { place_id: null, match, candidates };
+
+      if (match !== PLACE_MATCH.MATCHED) {
+        review.push({
+          personIndex,
+          person: `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+          field,
+          value: person[field],
+          match,
+          placeId: place ? place.id : null,
+          candidates
+        });
+      }
+    }
+
+    return Object.keys(places).length > 0 ? { ...person, places } : person;
+  });
+
+  return { persons: normalized, review };
+}
@@ -11,7 +11,7 @@ import fs from 'fs';
 import path from 'path';
 import mammoth from 'mammoth';
 import { fileURLToPath } from 'url';
-import { PERSON_EXTRACTION_PROMPT } from './src/prompts/person-extraction-prompt.js';
+import { promptRegistry } from './src/prompts/index.js';
 import { OpenAI } from 'openai';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -61,7 +61,7 @@ async function main() {
     });
     
     // 3. Prepare the prompt
-    const prompt = PERSON_EXTRACTION_PROMPT.replace('[DOCUMENT_TEXT]', docText);
+    const { prompt } = promptRegistry.render('person-extraction', { document_text: docText, examples: '' });
     
     // 4. Get raw response from OpenAI
     console.log(`\nCalling OpenAI to extract persons data...`);
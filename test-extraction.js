@@ -13,7 +13,7 @@ import mammoth from 'mammoth';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { PERSON_EXTRACTION_PROMPT } from './src/prompts/person-extraction-prompt.js';
+import { promptRegistry } from './src/prompts/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -64,7 +64,7 @@ async function main() {
     const llm = llmFactory.create(provider);
     
     // 3. Prepare the prompt
-    const prompt = PERSON_EXTRACTION_PROMPT.replace('[DOCUMENT_TEXT]', docText);
+    const { prompt } = promptRegistry.render('person-extraction', { document_text: docText, examples: '' });
     
     // 4. Get raw response from LLM
     console.log(`\nCalling LLM (${provider} provider) to extract persons data...`);
@@ -15,9 +15,12 @@ const testData = JSON.parse(fs.readFileSync(testDataPath, 'utf8'));
 // Read the schema files
 const personsSchemaPath = path.join(__dirname, 'src', 'schemas', 'persons-schema.json');
 const personsSchema = JSON.parse(fs.readFileSync(personsSchemaPath, 'utf8'));
+const personSchemaPath = path.join(__dirname, 'src', 'schemas', 'person-schema.json');
+const personSchema = JSON.parse(fs.readFileSync(personSchemaPath, 'utf8'));
 
-// Validate the test data
+// Validate the test data (the persons schema refers to the person schema for each item)
 const validator = new Validator();
+validator.addSchema(personSchema, '/person-schema.json');
 const result = validator.validate(testData, personsSchema);
 
 console.log('Test data:', JSON.stringify(testData, null, 2));